@@ -0,0 +1,45 @@
+// bondingCurve.js
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+// Anchor account discriminator: sha256("account:BondingCurve")[0..8]
+const BONDING_CURVE_DISCRIMINATOR = Buffer.from('17b7f83760d8ac60', 'hex');
+
+// Fixed part of the account: discriminator + 5 x u64 + complete flag
+const BONDING_CURVE_MIN_SIZE = 49;
+
+// Layout: discriminator (8), virtual_token_reserves, virtual_sol_reserves, real_token_reserves,
+// real_sol_reserves, token_total_supply (u64 each), complete (bool), then the creator on newer curves
+function decodeBondingCurve(data) {
+  if (!data || data.length < BONDING_CURVE_MIN_SIZE) {
+    throw new Error('Invalid bonding curve account data');
+  }
+  if (!data.subarray(0, 8).equals(BONDING_CURVE_DISCRIMINATOR)) {
+    throw new Error('Account is not a pump.fun bonding curve');
+  }
+
+  return {
+    virtualTokenReserves: data.readBigUInt64LE(8),
+    virtualSolReserves: data.readBigUInt64LE(16),
+    realTokenReserves: data.readBigUInt64LE(24),
+    realSolReserves: data.readBigUInt64LE(32),
+    tokenTotalSupply: data.readBigUInt64LE(40),
+    complete: data.readUInt8(48) === 1,
+    creator: data.length >= BONDING_CURVE_MIN_SIZE + 32
+      ? new PublicKey(data.subarray(49, 81)).toBase58()
+      : null,
+  };
+}
+
+// Marginal price of one whole token in SOL, from the virtual reserves
+function getCurvePriceSOL(curve, decimals = 6) {
+  if (!curve || curve.virtualTokenReserves === 0n) return 0;
+  const sol = Number(curve.virtualSolReserves) / LAMPORTS_PER_SOL;
+  const tokens = Number(curve.virtualTokenReserves) / 10 ** decimals;
+  return sol / tokens;
+}
+
+module.exports = {
+  BONDING_CURVE_DISCRIMINATOR,
+  decodeBondingCurve,
+  getCurvePriceSOL,
+};
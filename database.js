@@ -80,6 +80,52 @@ class DB {
                 updated_at DATETIME,
                 closed_at DATETIME
             )`,
+            `CREATE TABLE IF NOT EXISTS trade_attempts (
+                id INTEGER PRIMARY KEY,
+                trade_id INTEGER,
+                signature TEXT UNIQUE,
+                blockhash TEXT,
+                last_valid_block_height INTEGER,
+                broadcasts INTEGER DEFAULT 0,
+                status TEXT,
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME,
+                FOREIGN KEY (trade_id) REFERENCES trades(id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS processed_signals (
+                id INTEGER PRIMARY KEY,
+                signature TEXT NOT NULL,
+                alpha_wallet TEXT NOT NULL,
+                user_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (signature, alpha_wallet, user_id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS signals (
+                id INTEGER PRIMARY KEY,
+                signature TEXT,
+                alpha_wallet TEXT,
+                side TEXT,
+                token_in TEXT,
+                token_out TEXT,
+                amount_in REAL,
+                amount_out REAL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (signature, alpha_wallet)
+            )`,
+            `CREATE TABLE IF NOT EXISTS signal_decisions (
+                id INTEGER PRIMARY KEY,
+                signal_id INTEGER,
+                user_id INTEGER,
+                decision TEXT,
+                reason TEXT,
+                detail TEXT,
+                trade_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (signal_id, user_id),
+                FOREIGN KEY (signal_id) REFERENCES signals(id),
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )`,
             `CREATE TABLE IF NOT EXISTS blacklisted_tokens (
                 id INTEGER PRIMARY KEY,
                 token_address TEXT UNIQUE,
@@ -95,6 +141,57 @@ class DB {
                 console.error("❌ Error creating table:", err);
             }
         }
+
+        this.migrateTables();
+    }
+
+    // Columns added after the initial schema. Existing databases get them via ALTER TABLE.
+    migrateTables() {
+        const columns = [
+            ['trades', 'expected_amount_out', 'REAL DEFAULT 0'],
+            ['users', 'priority_fee_mode', "TEXT DEFAULT 'dynamic'"],
+            ['users', 'priority_fee_micro_lamports', 'INTEGER DEFAULT 0'],
+            ['users', 'priority_fee_percentile', 'INTEGER DEFAULT 75'],
+            ['trades', 'token_amount', 'REAL DEFAULT 0'],
+            ['trades', 'sol_amount', 'REAL DEFAULT 0'],
+            ['trades', 'fee_sol', 'REAL DEFAULT 0'],
+            ['users', 'venue_filter', 'TEXT'],
+            ['signals', 'venue', 'TEXT'],
+            // Per-alpha copy overrides; NULL falls back to the user's settings
+            ['alpha_wallets', 'size_mode', 'TEXT'],
+            ['alpha_wallets', 'size_value', 'REAL'],
+            ['alpha_wallets', 'buy_only', 'INTEGER DEFAULT 0'],
+            ['alpha_wallets', 'sell_follow', 'INTEGER DEFAULT 0'],
+            ['alpha_wallets', 'take_profit', 'REAL'],
+            ['alpha_wallets', 'stop_loss', 'REAL'],
+            ['alpha_wallets', 'slippage', 'REAL'],
+            ['positions', 'alpha_wallet', 'TEXT'],
+            ['users', 'size_mode', "TEXT DEFAULT 'default'"],
+            ['users', 'size_value', 'REAL'],
+            ['users', 'min_trade_amount', 'REAL DEFAULT 0'],
+            // Trailing stop: % drop from the position's peak price, armed once the peak is this far in profit
+            ['users', 'trailing_stop', 'REAL DEFAULT 0'],
+            ['users', 'trailing_activation', 'REAL DEFAULT 0'],
+            ['positions', 'peak_price', 'REAL'],
+            // Take-profit ladder: "<profit %>:<sell %>" rungs, and the profit % of each rung a position has sold at
+            ['users', 'tp_ladder', 'TEXT'],
+            ['positions', 'take_profit_hits', 'TEXT'],
+            // SOL realized by partial and full closes since the position was opened
+            ['positions', 'realized_pnl', 'REAL DEFAULT 0'],
+            // JSON of an auto-sell sent but not confirmed; no new auto-sell goes out until it is resolved
+            ['positions', 'pending_exit', 'TEXT']
+        ];
+
+        for (const [table, column, definition] of columns) {
+            try {
+                const existing = this.db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+                if (!existing.includes(column)) {
+                    this.db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+                }
+            } catch (err) {
+                console.error(`❌ Error adding column ${table}.${column}:`, err);
+            }
+        }
     }
 
     // ---------------- User Methods ----------------
@@ -158,6 +255,28 @@ class DB {
         }
     }
 
+    getUserAlphaWallet(userId, walletAddress) {
+        try {
+            return this.db.prepare(
+                'SELECT * FROM alpha_wallets WHERE user_id = ? AND wallet_address = ? AND active = 1 LIMIT 1'
+            ).get(userId, walletAddress) || null;
+        } catch (err) {
+            console.error("❌ getUserAlphaWallet failed:", err);
+            return null;
+        }
+    }
+
+    updateAlphaWallet(id, updates) {
+        try {
+            const fields = Object.keys(updates).map(k => `${k} = ?`).join(', ');
+            const values = [...Object.values(updates), id];
+            this.db.prepare(`UPDATE alpha_wallets SET ${fields} WHERE id = ?`).run(values);
+        } catch (err) {
+            console.error("❌ updateAlphaWallet failed:", err);
+            throw err;
+        }
+    }
+
     deleteAlphaWallet(id) {
         try {
             this.db.prepare('UPDATE alpha_wallets SET active = 0 WHERE id = ?').run(id);
@@ -167,20 +286,166 @@ class DB {
         }
     }
 
+    // ---------------- Processed Signal Methods ----------------
+    // Returns true only for the first caller, so redelivered signals are copied at most once per user
+    claimSignal(signature, alphaWallet, userId) {
+        try {
+            return this.db.prepare(
+                'INSERT OR IGNORE INTO processed_signals (signature, alpha_wallet, user_id) VALUES (?, ?, ?)'
+            ).run(signature, alphaWallet, userId).changes === 1;
+        } catch (err) {
+            console.error("❌ claimSignal failed:", err);
+            throw err;
+        }
+    }
+
+    getProcessedSignalUserIds(signature, alphaWallet) {
+        try {
+            return this.db.prepare(
+                'SELECT user_id FROM processed_signals WHERE signature = ? AND alpha_wallet = ?'
+            ).all(signature, alphaWallet).map(r => r.user_id);
+        } catch (err) {
+            console.error("❌ getProcessedSignalUserIds failed:", err);
+            return [];
+        }
+    }
+
+    pruneProcessedSignals(days = 7) {
+        try {
+            return this.db.prepare(
+                `DELETE FROM processed_signals WHERE created_at < datetime('now', ?)`
+            ).run(`-${days} days`).changes;
+        } catch (err) {
+            console.error("❌ pruneProcessedSignals failed:", err);
+            return 0;
+        }
+    }
+
+    // ---------------- Signal Ledger Methods ----------------
+    // Stores a detected alpha swap once and returns its id (existing id on redelivery)
+    recordSignal(swapDetails, alphaWallet) {
+        const p = swapDetails.perspective || {};
+        try {
+            this.db.prepare(
+                `INSERT OR IGNORE INTO signals
+                 (signature, alpha_wallet, side, token_in, token_out, amount_in, amount_out, venue)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+            ).run(swapDetails.signature || null, alphaWallet, p.side, p.tokenIn, p.tokenOut, p.amountIn, p.amountOut, p.venue || null);
+
+            const row = this.db.prepare(
+                'SELECT id FROM signals WHERE signature IS ? AND alpha_wallet = ? ORDER BY id DESC LIMIT 1'
+            ).get(swapDetails.signature || null, alphaWallet);
+            return row?.id || null;
+        } catch (err) {
+            console.error("❌ recordSignal failed:", err);
+            return null;
+        }
+    }
+
+    recordSignalDecision(signalId, userId, { decision, reason = null, detail = null, tradeId = null } = {}) {
+        try {
+            this.db.prepare(
+                `INSERT OR REPLACE INTO signal_decisions
+                 (signal_id, user_id, decision, reason, detail, trade_id)
+                 VALUES (?, ?, ?, ?, ?, ?)`
+            ).run(signalId, userId, decision || 'skipped', reason, detail, tradeId);
+        } catch (err) {
+            console.error("❌ recordSignalDecision failed:", err);
+        }
+    }
+
+    getUserSignalDecisions(userId, limit = 10) {
+        try {
+            return this.db.prepare(
+                `SELECT d.decision, d.reason, d.detail, d.trade_id, d.created_at,
+                        s.signature, s.alpha_wallet, s.side, s.token_in, s.token_out, s.amount_in, s.amount_out, s.venue,
+                        aw.nickname AS alpha_nickname
+                 FROM signal_decisions d
+                 JOIN signals s ON s.id = d.signal_id
+                 LEFT JOIN alpha_wallets aw
+                    ON aw.wallet_address = s.alpha_wallet AND aw.user_id = d.user_id AND aw.active = 1
+                 WHERE d.user_id = ?
+                 ORDER BY d.created_at DESC, d.id DESC
+                 LIMIT ?`
+            ).all(userId, limit);
+        } catch (err) {
+            console.error("❌ getUserSignalDecisions failed:", err);
+            return [];
+        }
+    }
+
     // ---------------- Trade Methods ----------------
-    addTrade({ userId, alphaWallet, tokenAddress, tokenSymbol, tokenName, side, amount, price, signature, jupiterQuote, status = 'pending', profit_loss = 0 }) {
+    addTrade({ userId, alphaWallet, tokenAddress, tokenSymbol, tokenName, side, amount, price, signature, jupiterQuote, status = 'pending', profit_loss = 0, expectedAmountOut = 0 }) {
         try {
             return this.db.prepare(
                 `INSERT INTO trades 
-                 (user_id, alpha_wallet, token_address, token_symbol, token_name, side, amount, price, signature, jupiterQuote, status, profit_loss) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-            ).run(userId, alphaWallet, tokenAddress, tokenSymbol, tokenName, side, amount, price, signature, jupiterQuote, status, profit_loss).lastInsertRowid;
+                 (user_id, alpha_wallet, token_address, token_symbol, token_name, side, amount, price, signature, jupiterQuote, status, profit_loss, expected_amount_out) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+            ).run(userId, alphaWallet, tokenAddress, tokenSymbol, tokenName, side, amount, price, signature, jupiterQuote, status, profit_loss, expectedAmountOut).lastInsertRowid;
         } catch (err) {
             console.error("❌ addTrade failed:", err);
             throw err;
         }
     }
 
+    updateTrade(tradeId, updates) {
+        const columnMap = {
+            tokenSymbol: 'token_symbol',
+            tokenName: 'token_name',
+            amount: 'amount',
+            price: 'price',
+            signature: 'signature',
+            jupiterQuote: 'jupiterQuote',
+            status: 'status',
+            profitLoss: 'profit_loss',
+            expectedAmountOut: 'expected_amount_out',
+            tokenAmount: 'token_amount',
+            solAmount: 'sol_amount',
+            feeSol: 'fee_sol'
+        };
+
+        try {
+            const entries = Object.entries(updates).filter(([key]) => columnMap[key]);
+            if (entries.length === 0) return;
+
+            const fields = entries.map(([key]) => `${columnMap[key]} = ?`).join(', ');
+            const values = [...entries.map(([, value]) => value), tradeId];
+            this.db.prepare(`UPDATE trades SET ${fields} WHERE id = ?`).run(values);
+        } catch (err) {
+            console.error("❌ updateTrade failed:", err);
+            throw err;
+        }
+    }
+
+    // One row per signed transaction; rebroadcasts of the same signature update it in place
+    recordTradeAttempt(tradeId, { signature, blockhash, lastValidBlockHeight, broadcasts = 0, status, error = null }) {
+        try {
+            this.db.prepare(
+                `INSERT INTO trade_attempts
+                 (trade_id, signature, blockhash, last_valid_block_height, broadcasts, status, error)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(signature) DO UPDATE SET
+                    broadcasts = excluded.broadcasts,
+                    status = excluded.status,
+                    error = excluded.error,
+                    updated_at = CURRENT_TIMESTAMP`
+            ).run(tradeId, signature, blockhash, lastValidBlockHeight, broadcasts, status, error);
+        } catch (err) {
+            console.error("❌ recordTradeAttempt failed:", err);
+        }
+    }
+
+    getTradeAttempts(tradeId) {
+        try {
+            return this.db.prepare(
+                'SELECT * FROM trade_attempts WHERE trade_id = ? ORDER BY created_at ASC'
+            ).all(tradeId);
+        } catch (err) {
+            console.error("❌ getTradeAttempts failed:", err);
+            return [];
+        }
+    }
+
     getUserTrades(userId, limit = 10) {
         try {
             return this.db.prepare(
@@ -241,11 +506,68 @@ class DB {
         }
     }
 
-    getUserPosition(userId, tokenAddress) {
+    // ---------------- Token Symbol Backfill ----------------
+    getMintsMissingSymbol() {
         try {
             return this.db.prepare(
+                `SELECT token_address FROM trades
+                 WHERE token_symbol IS NULL OR token_symbol IN ('', 'UNKNOWN')
+                 UNION
+                 SELECT token_address FROM positions
+                 WHERE token_symbol IS NULL OR token_symbol IN ('', 'UNKNOWN')`
+            ).all().map(r => r.token_address).filter(Boolean);
+        } catch (err) {
+            console.error("❌ getMintsMissingSymbol failed:", err);
+            return [];
+        }
+    }
+
+    backfillTokenSymbol(tokenAddress, symbol, name) {
+        try {
+            const trades = this.db.prepare(
+                `UPDATE trades SET token_symbol = ?, token_name = ?
+                 WHERE token_address = ? AND (token_symbol IS NULL OR token_symbol IN ('', 'UNKNOWN'))`
+            ).run(symbol, name, tokenAddress).changes;
+            const positions = this.db.prepare(
+                `UPDATE positions SET token_symbol = ?
+                 WHERE token_address = ? AND (token_symbol IS NULL OR token_symbol IN ('', 'UNKNOWN'))`
+            ).run(symbol, tokenAddress).changes;
+            return trades + positions;
+        } catch (err) {
+            console.error("❌ backfillTokenSymbol failed:", err);
+            return 0;
+        }
+    }
+
+    // ---------------- Position Methods ----------------
+    // Positions are handled in camelCase by the trading engine; map to/from the snake_case columns
+    mapPosition(row) {
+        if (!row) return row;
+        return {
+            id: row.id,
+            userId: row.user_id,
+            tokenAddress: row.token_address,
+            tokenSymbol: row.token_symbol,
+            alphaWallet: row.alpha_wallet,
+            totalAmount: row.total_amount,
+            averagePrice: row.average_price,
+            peakPrice: row.peak_price,
+            takeProfitHits: row.take_profit_hits ? row.take_profit_hits.split(',').map(Number) : [],
+            realizedPnl: row.realized_pnl || 0,
+            pendingExit: row.pending_exit ? JSON.parse(row.pending_exit) : null,
+            isOpen: row.is_open === 1,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            closedAt: row.closed_at
+        };
+    }
+
+    getUserPosition(userId, tokenAddress) {
+        try {
+            const row = this.db.prepare(
                 'SELECT * FROM positions WHERE user_id = ? AND token_address = ? LIMIT 1'
             ).get(userId, tokenAddress);
+            return this.mapPosition(row);
         } catch (err) {
             console.error('❌ getUserPosition failed:', err);
             return null;
@@ -255,12 +577,13 @@ class DB {
     createPosition(position) {
         return this.db.prepare(`
             INSERT INTO positions 
-            (user_id, token_address, token_symbol, total_amount, average_price, is_open, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+            (user_id, token_address, token_symbol, alpha_wallet, total_amount, average_price, is_open, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `).run(
             position.userId,
             position.tokenAddress,
             position.tokenSymbol,
+            position.alphaWallet || null,
             position.totalAmount,
             position.averagePrice,
             position.isOpen ? 1 : 0,
@@ -269,13 +592,40 @@ class DB {
     }
 
     updatePosition(userId, tokenAddress, updates) {
-        const fields = Object.keys(updates).map(k => `${k} = ?`).join(', ');
-        const values = [...Object.values(updates), userId, tokenAddress];
+        const columnMap = {
+            tokenSymbol: 'token_symbol',
+            alphaWallet: 'alpha_wallet',
+            totalAmount: 'total_amount',
+            averagePrice: 'average_price',
+            peakPrice: 'peak_price',
+            takeProfitHits: 'take_profit_hits',
+            realizedPnl: 'realized_pnl',
+            pendingExit: 'pending_exit',
+            isOpen: 'is_open',
+            updatedAt: 'updated_at',
+            closedAt: 'closed_at'
+        };
+
+        const entries = Object.entries(updates).filter(([k]) => columnMap[k]);
+        if (entries.length === 0) return;
+
+        const fields = entries.map(([k]) => `${columnMap[k]} = ?`).join(', ');
+        const values = [
+            ...entries.map(([, v]) => {
+                if (typeof v === 'boolean') return v ? 1 : 0;
+                if (Array.isArray(v)) return v.length ? v.join(',') : null;
+                if (v && typeof v === 'object') return JSON.stringify(v);
+                return v;
+            }),
+            userId,
+            tokenAddress
+        ];
         this.db.prepare(`UPDATE positions SET ${fields} WHERE user_id = ? AND token_address = ?`).run(values);
     }
 
     getUserOpenPositions(userId) {
-        return this.db.prepare('SELECT * FROM positions WHERE user_id = ? AND is_open = 1').all(userId);
+        return this.db.prepare('SELECT * FROM positions WHERE user_id = ? AND is_open = 1').all(userId)
+            .map(row => this.mapPosition(row));
     }
 
     getBlacklistedTokens() {
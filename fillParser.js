@@ -0,0 +1,103 @@
+// fillParser.js
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+function getAccountKeys(tx) {
+  // Parsed transactions include lookup-table addresses in accountKeys
+  return tx.transaction.message.accountKeys.map(k =>
+    typeof k === 'string' ? k : (k.pubkey?.toBase58 ? k.pubkey.toBase58() : String(k.pubkey))
+  );
+}
+
+// Token balances held by `owner`, keyed by account index
+function ownerTokenBalances(balances = [], owner) {
+  const byIndex = new Map();
+  for (const b of balances) {
+    if (b.owner !== owner) continue;
+    byIndex.set(b.accountIndex, {
+      mint: b.mint,
+      amount: BigInt(b.uiTokenAmount.amount),
+      decimals: b.uiTokenAmount.decimals,
+    });
+  }
+  return byIndex;
+}
+
+// What a wallet actually got out of a confirmed swap, from pre/post balances.
+// SOL leg is net of the network fee and of token-account rent deposited or refunded, with WSOL
+// folded into native SOL so wrapped and unwrapped routes read the same.
+function parseFill(tx, owner, mint) {
+  if (!tx?.meta) throw new Error('Transaction has no metadata');
+  if (tx.meta.err) throw new Error(`Transaction failed: ${JSON.stringify(tx.meta.err)}`);
+
+  const { meta } = tx;
+  const keys = getAccountKeys(tx);
+  const ownerIndex = keys.indexOf(owner);
+  if (ownerIndex === -1) throw new Error('Wallet is not part of this transaction');
+
+  const nativeDelta = BigInt(meta.postBalances[ownerIndex]) - BigInt(meta.preBalances[ownerIndex]);
+  const fee = ownerIndex === 0 ? BigInt(meta.fee) : 0n;
+
+  const pre = ownerTokenBalances(meta.preTokenBalances, owner);
+  const post = ownerTokenBalances(meta.postTokenBalances, owner);
+
+  let tokenDelta = 0n;
+  let wsolDelta = 0n;
+  let decimals = null;
+  let rentDeposited = 0n;
+  let rentRefunded = 0n;
+
+  for (const index of new Set([...pre.keys(), ...post.keys()])) {
+    const before = pre.get(index);
+    const after = post.get(index);
+    const tokenMint = (after || before).mint;
+    const delta = (after?.amount || 0n) - (before?.amount || 0n);
+
+    if (tokenMint === mint) {
+      tokenDelta += delta;
+      decimals = (after || before).decimals;
+    } else if (tokenMint === WSOL_MINT) {
+      wsolDelta += delta;
+    }
+
+    // A WSOL account's lamports are rent plus the wrapped amount; only the rent part is overhead
+    const preLamports = BigInt(meta.preBalances[index]);
+    const postLamports = BigInt(meta.postBalances[index]);
+    const wrapped = (b) => (tokenMint === WSOL_MINT && b ? b.amount : 0n);
+    if (preLamports === 0n && postLamports > 0n) rentDeposited += postLamports - wrapped(after);
+    if (preLamports > 0n && postLamports === 0n) rentRefunded += preLamports - wrapped(before);
+  }
+
+  const solLeg = nativeDelta + fee + rentDeposited - rentRefunded + wsolDelta;
+  const solAmount = Number(solLeg < 0n ? -solLeg : solLeg) / LAMPORTS_PER_SOL;
+  const tokenAmount = decimals == null ? 0 : Number(tokenDelta < 0n ? -tokenDelta : tokenDelta) / 10 ** decimals;
+
+  return {
+    side: tokenDelta > 0n ? 'buy' : 'sell',
+    solAmount,
+    tokenAmount,
+    decimals,
+    feeSol: Number(fee) / LAMPORTS_PER_SOL,
+    rentSol: Number(rentDeposited - rentRefunded) / LAMPORTS_PER_SOL,
+    price: tokenAmount > 0 ? solAmount / tokenAmount : 0,
+  };
+}
+
+// How much of a mint the wallet held just before and after a transaction, in raw units,
+// summed over all of its token accounts for that mint
+function parseHoldingChange(tx, owner, mint) {
+  if (!tx?.meta) throw new Error('Transaction has no metadata');
+
+  const sum = (balances) => [...ownerTokenBalances(balances, owner).values()]
+    .filter(b => b.mint === mint)
+    .reduce((total, b) => total + b.amount, 0n);
+
+  return { before: sum(tx.meta.preTokenBalances), after: sum(tx.meta.postTokenBalances) };
+}
+
+module.exports = {
+  getAccountKeys,
+  parseFill,
+  parseHoldingChange,
+};
@@ -1,7 +1,47 @@
 // heliusService.js
 const axios = require('axios');
+const bs58 = require('bs58');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const Bottleneck = require('bottleneck');
 const database = require('./database'); // ensure you import your DB module
+const { decodePumpTrades } = require('./pumpDecoder');
+const { classifyVenue } = require('./venueClassifier');
+const { PLUMBING_PROGRAMS } = require('./transactionNormalizer');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const ATA_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hzZbsiqW5xWH25efTNsLJA8knL';
+const TOKEN_PROGRAM_IDS = ['TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'];
+const CLOSE_ACCOUNT_IX = 9;
+
+const JITO_TIP_ACCOUNTS = new Set([
+    '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+    'HFqU5x63VP8yUXHUJ8C4o8j6G6i5Wzgw28S8Rsh4Sv3F',
+    'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+    'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+    'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+    'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+    'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+    '3AVi9Tg9Uo68tJfuvoKvqKNWKc5wPdSSdeBnizKZ6jT',
+]);
+
+// Token-to-token swaps paid or settled in these are copied as SOL buys/sells of the other token
+const STABLECOIN_MINTS = new Set([
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+    '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo', // PYUSD
+]);
+
+// Below these a leg is rounding or incidental SOL movement rather than part of the trade
+const TOKEN_DUST = 1e-9;
+const SOL_DUST = 0.001;
+
+const SIDE_BY_KIND = {
+    buy: 'buy',
+    sell: 'sell',
+    stable_buy: 'buy',
+    stable_sell: 'sell',
+    rotation: 'rotation',
+};
 
 class HeliusService {
     constructor() {
@@ -134,7 +174,8 @@ class HeliusService {
     }
 
     isSwapTransaction(transaction) {
-        const isSwap = transaction.type === 'SWAP';
+        // Helius often labels pump.fun / PumpSwap trades UNKNOWN, so decode those ourselves
+        const isSwap = transaction.type === 'SWAP' || decodePumpTrades(transaction).length > 0;
         //this.logWithTimestamp(`Transaction ${transaction.signature} is ${isSwap ? '' : 'not '}a swap transaction`);
         return isSwap;
     }
@@ -179,44 +220,58 @@ class HeliusService {
                     }
             };
             
-            // derive alphaWallet's tokenIn/tokenOut
+            // Net token flow per mint for the alphaWallet; WSOL is part of the SOL leg below.
+            // Intermediate hops routed through the wallet's own accounts net out to zero.
+            const legs = new Map();
             tokenTransfers.forEach(t => {
+                if (t.mint === WSOL_MINT) return;
                 const normalizedAmount = Math.abs(t.tokenAmount) / (10 ** (t.decimals || 0));
+                if (!legs.has(t.mint)) legs.set(t.mint, { net: 0, poolPDA: null });
+                const leg = legs.get(t.mint);
                 
                 if (t.fromUserAccount === alphaWallet) {
-                    swapDetails.perspective.tokenIn = t.mint;
-                    swapDetails.perspective.amountIn += normalizedAmount;
-                    swapDetails.perspective.poolPDA = t.toTokenAccount;
+                    leg.net -= normalizedAmount;
+                    leg.poolPDA = leg.poolPDA || t.toTokenAccount;
                 }
                 
                 if (t.toUserAccount === alphaWallet) {
-                    swapDetails.perspective.tokenOut = t.mint;
-                    swapDetails.perspective.amountOut += normalizedAmount;
+                    leg.net += normalizedAmount;
                     
                     // Set pool PDA as the account sending tokens to alpha wallet
-                    swapDetails.perspective.poolPDA = t.fromTokenAccount;
+                    leg.poolPDA = t.fromTokenAccount;
                 }
             });
+            const given = [...legs].filter(([, leg]) => leg.net < -TOKEN_DUST);
+            const received = [...legs].filter(([, leg]) => leg.net > TOKEN_DUST);
             
-            // handle SOL (native transfers / nativeBalanceChange
-            const nativeChange = accountData.find(a => a.account === alphaWallet)?.nativeBalanceChange || 0;
-            if (nativeChange < 0) {
-                swapDetails.perspective.tokenIn = 'SOL';
-                swapDetails.perspective.amountIn += Math.abs(nativeChange);
-            } else if (nativeChange > 0) {
-                swapDetails.perspective.tokenOut = 'SOL';
-                swapDetails.perspective.amountOut += nativeChange;
-            }
+            // SOL actually traded, in SOL
+            const solLeg = this.computeSolLeg(transaction, alphaWallet);
+            swapDetails.solLeg = solLeg;
+            // Token-to-token swaps still move a little SOL (rent refunds, unrecognised tips)
+            const tokenToToken = given.length > 0 && received.length > 0 && Math.abs(solLeg.amount) < SOL_DUST;
             
-            // Determine swap side
-            const { tokenIn, tokenOut, amountIn, amountOut } = swapDetails.perspective;
-            if (tokenIn === 'SOL' && tokenOut !== 'SOL') {
-                swapDetails.perspective.side = 'buy';
-            } else if (tokenIn !== 'SOL' && tokenOut === 'SOL') {
-                swapDetails.perspective.side = 'sell';
-            } else {
-                swapDetails.perspective.side = amountIn >= amountOut ? 'sell' : 'buy';
+            const perspective = swapDetails.perspective;
+            if (given.length === 1) {
+                const [mint, leg] = given[0];
+                Object.assign(perspective, { tokenIn: mint, amountIn: -leg.net, poolPDA: leg.poolPDA });
+            }
+            if (received.length === 1) {
+                const [mint, leg] = received[0];
+                Object.assign(perspective, { tokenOut: mint, amountOut: leg.net, poolPDA: leg.poolPDA });
             }
+            if (!tokenToToken && solLeg.amount < 0) {
+                Object.assign(perspective, { tokenIn: 'SOL', amountIn: -solLeg.amount });
+            } else if (!tokenToToken && solLeg.amount > 0) {
+                Object.assign(perspective, { tokenOut: 'SOL', amountOut: solLeg.amount });
+            }
+            
+            this.applyPumpTrade(swapDetails, transaction, alphaWallet);
+            perspective.kind = this.getSwapKind(perspective.tokenIn, perspective.tokenOut);
+            perspective.side = SIDE_BY_KIND[perspective.kind] || null;
+
+            const { venue, venues } = classifyVenue(transaction);
+            swapDetails.perspective.venue = venue;
+            swapDetails.venues = venues;
             this.logWithTimestamp(`✅ Detailed swap: ${JSON.stringify(swapDetails)}`);
             return swapDetails;
         } catch (err) {
@@ -224,6 +279,113 @@ class HeliusService {
             return null;
         }
     }
+
+    // The wallet's SOL leg (negative = spent), treating the wallet and its token accounts as one balance
+    // so WSOL wrapping, unwrapping and temporary accounts cancel out. Removed from the raw balance change:
+    // the network fee (priority fee included), rent moved into or out of the wallet's token accounts, and
+    // tips: transfers to Jito tip accounts or to accounts no DEX/router instruction touches.
+    computeSolLeg(transaction, wallet) {
+        const accountData = transaction.accountData || [];
+        const allInstructions = (transaction.instructions || []).flatMap(ix => [ix, ...(ix.innerInstructions || [])]);
+
+        const owned = new Set();
+        for (const t of transaction.tokenTransfers || []) {
+            if (t.fromUserAccount === wallet && t.fromTokenAccount) owned.add(t.fromTokenAccount);
+            if (t.toUserAccount === wallet && t.toTokenAccount) owned.add(t.toTokenAccount);
+        }
+        for (const a of accountData) {
+            if ((a.tokenBalanceChanges || []).some(t => t.userAccount === wallet)) owned.add(a.account);
+        }
+        for (const ix of allInstructions) {
+            const accounts = ix.accounts || [];
+            // create / createIdempotent: payer, ata, wallet, mint, ...
+            if (ix.programId === ATA_PROGRAM_ID && accounts[2] === wallet) owned.add(accounts[1]);
+            // closeAccount: account, destination, owner
+            if (TOKEN_PROGRAM_IDS.includes(ix.programId) && accounts[2] === wallet) {
+                try {
+                    if (bs58.decode(ix.data || '')[0] === CLOSE_ACCOUNT_IX) owned.add(accounts[0]);
+                } catch {
+                    // not base58 instruction data
+                }
+            }
+        }
+
+        const referenced = new Set(
+            allInstructions
+                .filter(ix => !PLUMBING_PROGRAMS.has(ix.programId))
+                .flatMap(ix => ix.accounts || [])
+        );
+
+        const nativeChange = accountData.find(a => a.account === wallet)?.nativeBalanceChange || 0;
+        const fee = transaction.feePayer === wallet ? (transaction.fee || 0) : 0;
+
+        let tokenAccountsChange = 0;
+        let wsolChange = 0;
+        for (const a of accountData) {
+            if (!owned.has(a.account)) continue;
+            tokenAccountsChange += a.nativeBalanceChange || 0;
+            for (const t of a.tokenBalanceChanges || []) {
+                if (t.mint === WSOL_MINT) wsolChange += Number(t.rawTokenAmount.tokenAmount);
+            }
+        }
+
+        const tips = (transaction.nativeTransfers || [])
+            .filter(n => n.fromUserAccount === wallet && n.toUserAccount !== wallet && !owned.has(n.toUserAccount))
+            .filter(n => JITO_TIP_ACCOUNTS.has(n.toUserAccount) || !referenced.has(n.toUserAccount))
+            .reduce((sum, n) => sum + n.amount, 0);
+
+        const lamports = nativeChange + fee + tips + tokenAccountsChange;
+        return {
+            amount: lamports / LAMPORTS_PER_SOL,
+            fee: fee / LAMPORTS_PER_SOL,
+            tips: tips / LAMPORTS_PER_SOL,
+            // Lamports of the wallet's token accounts that aren't wrapped SOL
+            rent: (tokenAccountsChange - wsolChange) / LAMPORTS_PER_SOL,
+        };
+    }
+
+    // What the alpha did, from the legs it gave and received:
+    // buy/sell (SOL for a token), stable_buy/stable_sell (stablecoin for a token) or rotation (token for token)
+    getSwapKind(tokenIn, tokenOut) {
+        if (!tokenIn || !tokenOut || tokenIn === tokenOut) return null;
+        if (tokenIn === 'SOL') return 'buy';
+        if (tokenOut === 'SOL') return 'sell';
+
+        const stableIn = STABLECOIN_MINTS.has(tokenIn);
+        const stableOut = STABLECOIN_MINTS.has(tokenOut);
+        // Moving between stablecoins isn't a position worth copying
+        if (stableIn && stableOut) return null;
+        if (stableIn) return 'stable_buy';
+        if (stableOut) return 'stable_sell';
+        return 'rotation';
+    }
+
+    // pump.fun / PumpSwap trades carry exact amounts in their instruction data and events,
+    // so they replace the transfer-based guess when the alpha made exactly one such trade
+    applyPumpTrade(swapDetails, transaction, alphaWallet) {
+        const trades = decodePumpTrades(transaction).filter(t => t.user === alphaWallet);
+        if (trades.length === 0) return;
+
+        const { mint, side } = trades[0];
+        if (trades.some(t => t.mint !== mint || t.side !== side)) {
+            this.logWithTimestamp(`Multiple pump trades by ${alphaWallet} in ${transaction.signature}, keeping transfer-based details`);
+            return;
+        }
+
+        const trade = trades.reduce((acc, t) => ({
+            ...acc,
+            quoteAmount: acc.quoteAmount + t.quoteAmount,
+            tokenAmount: acc.tokenAmount + t.tokenAmount,
+            exact: acc.exact && t.exact,
+        }));
+        const quote = trade.quoteMint === WSOL_MINT ? 'SOL' : trade.quoteMint;
+
+        Object.assign(swapDetails.perspective, side === 'buy'
+            ? { tokenIn: quote, amountIn: trade.quoteAmount, tokenOut: mint, amountOut: trade.tokenAmount }
+            : { tokenIn: mint, amountIn: trade.tokenAmount, tokenOut: quote, amountOut: trade.quoteAmount });
+        if (trade.pool) swapDetails.perspective.poolPDA = trade.pool;
+        swapDetails.pumpTrade = trade;
+    }
 }
 
 module.exports = HeliusService;
@@ -71,6 +71,11 @@ class CopyTradingBot {
             'WEBHOOK_URL'
         ];
 
+        // The websocket signal source streams from the RPC's WebSocket endpoint
+        if (['websocket', 'both'].includes((process.env.SIGNAL_SOURCE || '').toLowerCase())) {
+            requiredEnvVars.push('SOLANA_WS_URL');
+        }
+
         const missing = requiredEnvVars.filter(varName => !process.env[varName]);
         
         if (missing.length > 0) {
@@ -0,0 +1,116 @@
+// jupiterService.js
+const axios = require('axios');
+const Bottleneck = require('bottleneck');
+
+class JupiterService {
+    constructor(options = {}) {
+        // Base URL is injectable so the client can be pointed at a local stub
+        this.baseUrl = options.baseUrl || process.env.JUPITER_API_URL || 'https://lite-api.jup.ag/swap/v1';
+        this.http = axios.create({
+            baseURL: this.baseUrl,
+            timeout: options.timeout || 10000
+        });
+
+        this.priceUrl = options.priceUrl || process.env.JUPITER_PRICE_API_URL || 'https://lite-api.jup.ag/price/v3';
+
+        this.limiter = new Bottleneck({
+            maxConcurrent: 2,
+            minTime: 250
+        });
+    }
+
+    logWithTimestamp(...args) {
+        console.log(new Date().toISOString(), ...args);
+    }
+
+    // `dexes` (Jupiter labels) restricts the route to those AMMs
+    async getQuote({ inputMint, outputMint, amount, slippageBps = 500, dexes = null }) {
+        try {
+            const response = await this.limiter.schedule(() =>
+                this.http.get('/quote', {
+                    params: {
+                        inputMint,
+                        outputMint,
+                        amount: amount.toString(),
+                        slippageBps,
+                        swapMode: 'ExactIn',
+                        ...(dexes?.length && { dexes: dexes.join(',') })
+                    }
+                })
+            );
+
+            if (!response.data?.outAmount) {
+                throw new Error('Jupiter returned no route');
+            }
+            return response.data;
+        } catch (error) {
+            this.logWithTimestamp('Error getting Jupiter quote:', error.response?.data || error.message);
+            throw new Error(`Jupiter quote failed: ${error.response?.data?.error || error.message}`);
+        }
+    }
+
+    async getSwapTransaction({ quoteResponse, userPublicKey, computeUnitPriceMicroLamports }) {
+        try {
+            const response = await this.limiter.schedule(() =>
+                this.http.post('/swap', {
+                    quoteResponse,
+                    userPublicKey,
+                    wrapAndUnwrapSol: true,
+                    dynamicComputeUnitLimit: true,
+                    ...(computeUnitPriceMicroLamports > 0 && { computeUnitPriceMicroLamports })
+                })
+            );
+
+            if (!response.data?.swapTransaction) {
+                throw new Error('Jupiter returned no swap transaction');
+            }
+            return response.data;
+        } catch (error) {
+            this.logWithTimestamp('Error building Jupiter swap:', error.response?.data || error.message);
+            throw new Error(`Jupiter swap build failed: ${error.response?.data?.error || error.message}`);
+        }
+    }
+
+    // USD prices keyed by mint; mints Jupiter can't price are simply absent
+    async getPrices(mints) {
+        if (!mints.length) return {};
+        try {
+            const response = await this.limiter.schedule(() =>
+                this.http.get(this.priceUrl, { params: { ids: mints.join(',') } })
+            );
+
+            const prices = {};
+            for (const [mint, info] of Object.entries(response.data || {})) {
+                const price = Number(info?.usdPrice ?? info?.price);
+                if (price > 0) prices[mint] = price;
+            }
+            return prices;
+        } catch (error) {
+            this.logWithTimestamp('Error getting Jupiter prices:', error.response?.data || error.message);
+            return {};
+        }
+    }
+
+    // Compact form of a quote for storage in trades.jupiterQuote
+    summarizeRoute(quoteResponse) {
+        return {
+            venue: 'jupiter',
+            inputMint: quoteResponse.inputMint,
+            outputMint: quoteResponse.outputMint,
+            inAmount: quoteResponse.inAmount,
+            outAmount: quoteResponse.outAmount,
+            otherAmountThreshold: quoteResponse.otherAmountThreshold,
+            slippageBps: quoteResponse.slippageBps,
+            priceImpactPct: quoteResponse.priceImpactPct,
+            routePlan: (quoteResponse.routePlan || []).map(step => ({
+                label: step.swapInfo?.label,
+                ammKey: step.swapInfo?.ammKey,
+                inputMint: step.swapInfo?.inputMint,
+                outputMint: step.swapInfo?.outputMint,
+                percent: step.percent
+            }))
+        };
+    }
+}
+
+module.exports = JupiterService;
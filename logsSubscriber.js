@@ -0,0 +1,139 @@
+// logsSubscriber.js
+const { PublicKey } = require('@solana/web3.js');
+const database = require('./database');
+const { normalizeParsedTransaction } = require('./transactionNormalizer');
+
+// Signatures remembered per wallet so repeated log notifications don't refetch the transaction
+const SEEN_TTL_MS = 10 * 60 * 1000;
+
+// Streams alpha wallet activity over the Solana WebSocket (logsSubscribe, one subscription per
+// wallet) and feeds the fetched transactions into the webhook server's processing path.
+// Subscriptions live on the RPC pool's best endpoint and move when that endpoint turns unhealthy.
+class LogsSubscriber {
+    constructor(webhookServer, options = {}) {
+        this.webhookServer = webhookServer;
+        this.tradingEngine = webhookServer.tradingEngine;
+        this.solanaService = webhookServer.tradingEngine.solanaService;
+        this.rpcPool = this.solanaService.rpcPool;
+
+        this.resyncInterval = options.resyncInterval || 30 * 1000;
+
+        this.connection = null;         // pool endpoint the subscriptions are on
+        this.subscriptions = new Map(); // wallet -> subscription id
+        this.seen = new Map();          // `${signature}:${wallet}` -> first seen at
+        this.resyncTimer = null;
+    }
+
+    logWithTimestamp(...args) {
+        console.log(new Date().toISOString(), ...args);
+    }
+
+    async start() {
+        const wsUrl = process.env.SOLANA_WS_URL;
+        if (!wsUrl) throw new Error('SOLANA_WS_URL is required for the websocket signal source');
+
+        this.logWithTimestamp(`🔌 Starting logsSubscribe signal source on ${new URL(wsUrl).host}`);
+        await this.syncSubscriptions();
+        // Alpha wallets are added and removed from Telegram, so the subscription set is re-synced
+        this.resyncTimer = setInterval(() => {
+            this.syncSubscriptions().catch(err => this.logWithTimestamp('❌ Subscription resync failed:', err.message));
+        }, this.resyncInterval);
+    }
+
+    async stop() {
+        if (this.resyncTimer) clearInterval(this.resyncTimer);
+        this.resyncTimer = null;
+
+        for (const wallet of [...this.subscriptions.keys()]) {
+            await this.unsubscribe(wallet);
+        }
+        this.logWithTimestamp('🔌 logsSubscribe signal source stopped');
+    }
+
+    async syncSubscriptions() {
+        if (!this.connection || !this.rpcPool.isHealthy(this.connection)) {
+            const next = this.rpcPool.getConnection('read');
+            if (next !== this.connection) await this.moveTo(next);
+        }
+
+        const wallets = new Set(database.getAllActiveAlphaWallets());
+
+        for (const wallet of wallets) {
+            if (!this.subscriptions.has(wallet)) this.subscribe(wallet);
+        }
+        for (const wallet of [...this.subscriptions.keys()]) {
+            if (!wallets.has(wallet)) await this.unsubscribe(wallet);
+        }
+
+        const cutoff = Date.now() - SEEN_TTL_MS;
+        for (const [key, seenAt] of this.seen) {
+            if (seenAt < cutoff) this.seen.delete(key);
+        }
+    }
+
+    // Failover: drop every subscription on the old endpoint and let the sync recreate them on the new one
+    async moveTo(connection) {
+        if (this.connection) {
+            this.logWithTimestamp(`🔀 Moving log subscriptions to ${new URL(connection.rpcEndpoint).host}`);
+            for (const wallet of [...this.subscriptions.keys()]) {
+                await this.unsubscribe(wallet);
+            }
+        }
+        this.connection = connection;
+    }
+
+    subscribe(wallet) {
+        let pubkey;
+        try {
+            pubkey = new PublicKey(wallet);
+        } catch {
+            this.logWithTimestamp(`⚠️ Skipping invalid alpha wallet address: ${wallet}`);
+            return;
+        }
+
+        const id = this.connection.onLogs(pubkey, (logs) => this.handleLogs(wallet, logs), 'confirmed');
+        this.subscriptions.set(wallet, id);
+        this.logWithTimestamp(`Subscribed to logs for ${wallet}`);
+    }
+
+    async unsubscribe(wallet) {
+        const id = this.subscriptions.get(wallet);
+        this.subscriptions.delete(wallet);
+        try {
+            await this.connection.removeOnLogsListener(id);
+            this.logWithTimestamp(`Unsubscribed from logs for ${wallet}`);
+        } catch (err) {
+            this.logWithTimestamp(`⚠️ Failed to unsubscribe ${wallet}:`, err.message);
+        }
+    }
+
+    handleLogs(wallet, logs) {
+        // Failed transactions can't be swaps worth copying
+        if (logs.err || !logs.signature) return;
+
+        const key = `${logs.signature}:${wallet}`;
+        if (this.seen.has(key)) return;
+        this.seen.set(key, Date.now());
+
+        this.webhookServer.webhookLimiter
+            .schedule(() => this.processSignature(logs.signature, wallet))
+            .catch(err => this.logWithTimestamp(`❌ Websocket signal ${logs.signature} failed:`, err.message));
+    }
+
+    async processSignature(signature, wallet) {
+        // The webhook may already have delivered this one; skip before spending an RPC call
+        if (!await this.tradingEngine.hasUnprocessedFollowers(signature, wallet)) return;
+
+        const tx = await this.solanaService.getParsedTransaction(signature);
+        if (!tx) {
+            this.logWithTimestamp(`⚠️ Transaction ${signature} not found, skipping websocket signal`);
+            return;
+        }
+
+        const transaction = normalizeParsedTransaction(tx);
+        this.logWithTimestamp(`📡 Websocket signal ${signature} for ${wallet} (${transaction.type})`);
+        await this.webhookServer.processTransaction(transaction, [wallet]);
+    }
+}
+
+module.exports = LogsSubscriber;
@@ -0,0 +1,95 @@
+// priceService.js
+const axios = require('axios');
+const { getCurvePriceSOL } = require('./bondingCurve');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+class PriceService {
+  constructor(solanaService) {
+    // Shares the SolanaService connection, limiter and priceCache
+    this.solanaService = solanaService;
+  }
+
+  isSol(tokenAddress) {
+    return tokenAddress === 'SOL' || tokenAddress === WSOL_MINT;
+  }
+
+  async getSolPriceUSD() {
+    const svc = this.solanaService;
+    const cached = svc.getCacheValue(svc.priceCache, 'usd_SOL');
+    if (cached) return cached;
+
+    try {
+      const response = await axios.get(
+        'https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd'
+      );
+      const price = response.data?.solana?.usd || 0;
+      if (price > 0) svc.setCacheWithExpiry(svc.priceCache, 'usd_SOL', price, svc.cacheConfig.price);
+      return price;
+    } catch (error) {
+      svc.log('⚠️ SOL/USD price fetch failed:', error.message);
+      return 0;
+    }
+  }
+
+  // Price of one whole token in SOL, read from the bonding curve or, once graduated, the PumpSwap pool
+  async getTokenPriceSOL(tokenAddress) {
+    if (this.isSol(tokenAddress)) return 1;
+
+    const svc = this.solanaService;
+    const cacheKey = `sol_${tokenAddress}`;
+    const cached = svc.getCacheValue(svc.priceCache, cacheKey);
+    if (cached) return cached;
+
+    try {
+      const curve = await svc.getBondingCurve(tokenAddress);
+      if (!curve) return this._getAggregatorPriceSOL(tokenAddress);
+
+      let price;
+      if (curve.complete) {
+        price = await svc.getAmmPriceSOL(tokenAddress);
+      } else {
+        const { decimals } = await svc.getMintInfo(tokenAddress);
+        price = getCurvePriceSOL(curve, decimals);
+      }
+      if (price > 0) svc.setCacheWithExpiry(svc.priceCache, cacheKey, price, svc.cacheConfig.price);
+      return price;
+    } catch (error) {
+      svc.log(`⚠️ Price fetch failed for ${tokenAddress}:`, error.message);
+      return 0;
+    }
+  }
+
+  // Non-pump tokens are priced from Jupiter's USD price, converted to SOL
+  async _getAggregatorPriceSOL(tokenAddress) {
+    const svc = this.solanaService;
+    const [prices, solUsd] = await Promise.all([
+      svc.jupiter.getPrices([tokenAddress]),
+      this.getSolPriceUSD(),
+    ]);
+    const usd = prices[tokenAddress] || 0;
+    if (!usd || !solUsd) return 0;
+
+    const price = usd / solUsd;
+    svc.setCacheWithExpiry(svc.priceCache, `sol_${tokenAddress}`, price, svc.cacheConfig.price);
+    return price;
+  }
+
+  async getTokenPriceUSD(tokenAddress) {
+    const solUsd = await this.getSolPriceUSD();
+    if (this.isSol(tokenAddress)) return solUsd;
+
+    const priceSol = await this.getTokenPriceSOL(tokenAddress);
+    return priceSol * solUsd;
+  }
+
+  async getTokenPrices(tokenAddress) {
+    const [sol, solUsd] = await Promise.all([
+      this.getTokenPriceSOL(tokenAddress),
+      this.getSolPriceUSD(),
+    ]);
+    return { sol, usd: sol * solUsd };
+  }
+}
+
+module.exports = PriceService;
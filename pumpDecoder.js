@@ -0,0 +1,252 @@
+// pumpDecoder.js
+const bs58 = require('bs58');
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const PUMP_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const PUMP_AMM_PROGRAM_ID = 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA';
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// pump.fun mints are always created with 6 decimals
+const PUMP_TOKEN_DECIMALS = 6;
+
+// Anchor instruction discriminators: sha256("global:<name>")[0..8]
+const IX = {
+  BUY: '66063d1201daebea',
+  SELL: '33e685a4017f83ad',
+  CREATE: '181ec828051c0777',
+  BUY_EXACT_SOL_IN: '38fc74089edfcd5f',      // pump.fun
+  BUY_EXACT_QUOTE_IN: 'c62e1552b4d9e870',    // PumpSwap
+};
+
+// emit_cpi! events arrive as a self-invocation: EVENT_IX_TAG, then sha256("event:<Name>")[0..8], then the body
+const EVENT_IX_TAG = 'e445a52e51cb9a1d';
+const EVENTS = {
+  TRADE: 'bddb7fd34ee661ee',   // pump.fun TradeEvent
+  CREATE: '1b72a94ddeeb6376',  // pump.fun CreateEvent
+  BUY: '67f4521f2cf57777',     // PumpSwap BuyEvent
+  SELL: '3e2f370aa503dc2a',    // PumpSwap SellEvent
+};
+
+const readPubkey = (buf, offset) => new PublicKey(buf.subarray(offset, offset + 32)).toBase58();
+
+function readString(buf, offset) {
+  const length = buf.readUInt32LE(offset);
+  return { value: buf.subarray(offset + 4, offset + 4 + length).toString('utf8'), next: offset + 4 + length };
+}
+
+function decodeData(data) {
+  try {
+    return Buffer.from(bs58.decode(data || ''));
+  } catch {
+    return Buffer.alloc(0);
+  }
+}
+
+// Buy/sell/create instruction arguments. Amounts are limits the user signed, not what was filled.
+function decodePumpInstruction({ programId, data, accounts = [] }) {
+  if (programId !== PUMP_PROGRAM_ID && programId !== PUMP_AMM_PROGRAM_ID) return null;
+  const buf = decodeData(data);
+  if (buf.length < 8) return null;
+  const disc = buf.subarray(0, 8).toString('hex');
+
+  if (programId === PUMP_PROGRAM_ID) {
+    // Accounts: global, fee_recipient, mint, bonding_curve, associated_bonding_curve, associated_user, user, ...
+    if ((disc === IX.BUY || disc === IX.SELL || disc === IX.BUY_EXACT_SOL_IN) && buf.length >= 24) {
+      const first = buf.readBigUInt64LE(8);
+      const second = buf.readBigUInt64LE(16);
+      const base = { program: 'pumpfun', mint: accounts[2], user: accounts[6] };
+      if (disc === IX.BUY) return { ...base, kind: 'buy', tokenAmount: first, maxSolCost: second };
+      if (disc === IX.BUY_EXACT_SOL_IN) return { ...base, kind: 'buy', solAmount: first, minTokensOut: second };
+      return { ...base, kind: 'sell', tokenAmount: first, minSolOutput: second };
+    }
+    // Accounts: mint, mint_authority, bonding_curve, associated_bonding_curve, global, mpl_token_metadata, metadata, user, ...
+    if (disc === IX.CREATE) {
+      try {
+        const name = readString(buf, 8);
+        const symbol = readString(buf, name.next);
+        const uri = readString(buf, symbol.next);
+        return { program: 'pumpfun', kind: 'create', mint: accounts[0], user: accounts[7], name: name.value, symbol: symbol.value, uri: uri.value };
+      } catch {
+        // Truncated string fields
+        return null;
+      }
+    }
+    return null;
+  }
+
+  // PumpSwap accounts: pool, user, global_config, base_mint, quote_mint, ...
+  if ((disc === IX.BUY || disc === IX.SELL || disc === IX.BUY_EXACT_QUOTE_IN) && buf.length >= 24) {
+    const first = buf.readBigUInt64LE(8);
+    const second = buf.readBigUInt64LE(16);
+    const base = { program: 'pumpswap', pool: accounts[0], user: accounts[1], mint: accounts[3], quoteMint: accounts[4] };
+    if (disc === IX.BUY) return { ...base, kind: 'buy', tokenAmount: first, maxQuoteIn: second };
+    if (disc === IX.BUY_EXACT_QUOTE_IN) return { ...base, kind: 'buy', quoteAmount: first, minTokensOut: second };
+    return { ...base, kind: 'sell', tokenAmount: first, minQuoteOut: second };
+  }
+  return null;
+}
+
+// Events carry what actually executed
+function decodePumpEvent({ programId, data }) {
+  if (programId !== PUMP_PROGRAM_ID && programId !== PUMP_AMM_PROGRAM_ID) return null;
+  const buf = decodeData(data);
+  if (buf.length < 16 || buf.subarray(0, 8).toString('hex') !== EVENT_IX_TAG) return null;
+  const disc = buf.subarray(8, 16).toString('hex');
+  const body = buf.subarray(16);
+
+  try {
+    if (programId === PUMP_PROGRAM_ID && disc === EVENTS.TRADE) {
+      // mint, sol_amount, token_amount, is_buy, user, timestamp, 4 x reserves,
+      // then on current curves fee_recipient, fee_basis_points, fee, creator, creator_fee_basis_points, creator_fee
+      const event = {
+        program: 'pumpfun',
+        name: 'TradeEvent',
+        mint: readPubkey(body, 0),
+        solAmount: body.readBigUInt64LE(32),
+        tokenAmount: body.readBigUInt64LE(40),
+        isBuy: body.readUInt8(48) === 1,
+        user: readPubkey(body, 49),
+        fee: 0n,
+        creatorFee: 0n,
+      };
+      if (body.length >= 169) event.fee = body.readBigUInt64LE(161);
+      if (body.length >= 217) event.creatorFee = body.readBigUInt64LE(209);
+      return event;
+    }
+    if (programId === PUMP_PROGRAM_ID && disc === EVENTS.CREATE) {
+      const name = readString(body, 0);
+      const symbol = readString(body, name.next);
+      const uri = readString(body, symbol.next);
+      return {
+        program: 'pumpfun',
+        name: 'CreateEvent',
+        tokenName: name.value,
+        symbol: symbol.value,
+        uri: uri.value,
+        mint: readPubkey(body, uri.next),
+        bondingCurve: readPubkey(body, uri.next + 32),
+        user: readPubkey(body, uri.next + 64),
+      };
+    }
+    if (programId === PUMP_AMM_PROGRAM_ID && (disc === EVENTS.BUY || disc === EVENTS.SELL)) {
+      // timestamp, base amount, limit, 4 x reserves, quote amount, 5 x fee fields, user quote amount, pool, user
+      const isBuy = disc === EVENTS.BUY;
+      return {
+        program: 'pumpswap',
+        name: isBuy ? 'BuyEvent' : 'SellEvent',
+        isBuy,
+        tokenAmount: body.readBigUInt64LE(8),
+        // Buys: quote spent including LP, protocol and creator fees. Sells: quote received after them.
+        quoteAmount: body.readBigUInt64LE(104),
+        pool: readPubkey(body, 112),
+        user: readPubkey(body, 144),
+      };
+    }
+  } catch {
+    // Truncated or unexpected layout
+  }
+  return null;
+}
+
+// Outer and inner instructions in execution order, Helius shape ({ programId, accounts, data, innerInstructions })
+function flattenInstructions(transaction) {
+  return (transaction.instructions || []).flatMap(ix => [ix, ...(ix.innerInstructions || [])]);
+}
+
+function findDecimals(transaction, mint) {
+  for (const account of transaction.accountData || []) {
+    const change = (account.tokenBalanceChanges || []).find(t => t.mint === mint);
+    if (change) return change.rawTokenAmount.decimals;
+  }
+  return null;
+}
+
+// Every pump.fun / PumpSwap trade in a transaction, with exact amounts when the program emitted its event.
+// Works from instruction data alone, so it doesn't need Helius to have labelled the transaction.
+function decodePumpTrades(transaction) {
+  const trades = [];
+  const created = new Map();
+  let pending = null;
+
+  for (const ix of flattenInstructions(transaction)) {
+    const event = decodePumpEvent(ix);
+    if (event?.name === 'CreateEvent') {
+      created.set(event.mint, { name: event.tokenName, symbol: event.symbol, uri: event.uri });
+      continue;
+    }
+    if (event) {
+      // The event belongs to the most recent buy/sell of the same program
+      const trade = pending && pending.venue === event.program ? pending : null;
+      pending = null;
+
+      if (event.program === 'pumpfun') {
+        const gross = event.isBuy
+          ? event.solAmount + event.fee + event.creatorFee
+          : event.solAmount - event.fee - event.creatorFee;
+        trades.push({
+          ...(trade || {}),
+          venue: 'pumpfun',
+          side: event.isBuy ? 'buy' : 'sell',
+          mint: event.mint,
+          user: event.user,
+          quoteMint: WSOL_MINT,
+          quoteRaw: gross,
+          tokenRaw: event.tokenAmount,
+          exact: true,
+        });
+      } else if (trade) {
+        trades.push({ ...trade, side: event.isBuy ? 'buy' : 'sell', quoteRaw: event.quoteAmount, tokenRaw: event.tokenAmount, exact: true });
+      }
+      continue;
+    }
+
+    const decoded = decodePumpInstruction(ix);
+    if (!decoded) continue;
+    if (decoded.kind === 'create') {
+      if (!created.has(decoded.mint)) created.set(decoded.mint, { name: decoded.name, symbol: decoded.symbol, uri: decoded.uri });
+      continue;
+    }
+
+    // No event followed the previous instruction; fall back to its signed limits
+    if (pending) trades.push(pending);
+    pending = {
+      venue: decoded.program,
+      side: decoded.kind,
+      mint: decoded.mint,
+      user: decoded.user,
+      pool: decoded.pool,
+      quoteMint: decoded.quoteMint || WSOL_MINT,
+      quoteRaw: decoded.solAmount ?? decoded.quoteAmount ?? decoded.maxSolCost ?? decoded.maxQuoteIn ?? decoded.minSolOutput ?? decoded.minQuoteOut ?? 0n,
+      tokenRaw: decoded.tokenAmount ?? decoded.minTokensOut ?? 0n,
+      exact: false,
+    };
+  }
+  if (pending) trades.push(pending);
+
+  return trades.map(t => {
+    const decimals = findDecimals(transaction, t.mint) ?? PUMP_TOKEN_DECIMALS;
+    const quoteDecimals = t.quoteMint === WSOL_MINT ? 9 : (findDecimals(transaction, t.quoteMint) ?? 6);
+    return {
+      venue: t.venue,
+      side: t.side,
+      mint: t.mint,
+      user: t.user,
+      pool: t.pool || null,
+      quoteMint: t.quoteMint,
+      quoteAmount: Number(t.quoteRaw) / 10 ** quoteDecimals,
+      solAmount: t.quoteMint === WSOL_MINT ? Number(t.quoteRaw) / LAMPORTS_PER_SOL : 0,
+      tokenAmount: Number(t.tokenRaw) / 10 ** decimals,
+      decimals,
+      exact: t.exact,
+      created: created.get(t.mint) || null,
+    };
+  });
+}
+
+module.exports = {
+  PUMP_PROGRAM_ID,
+  PUMP_AMM_PROGRAM_ID,
+  decodePumpInstruction,
+  decodePumpEvent,
+  decodePumpTrades,
+};
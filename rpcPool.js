@@ -0,0 +1,186 @@
+// rpcPool.js
+const { Connection } = require('@solana/web3.js');
+
+// Methods that submit transactions go to the send endpoints; everything else is a read
+const SEND_METHODS = new Set(['sendRawTransaction', 'sendTransaction', 'sendEncodedTransaction']);
+
+// Only transport-level failures move a call to the next endpoint. RPC errors such as a failed
+// simulation would fail the same way everywhere, so they are returned as-is. HTTP statuses are
+// matched in web3.js's "<status> <status text>: <body>" form, not wherever the digits appear.
+const TRANSPORT_ERROR = /fetch failed|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|socket hang up|timed out|\b(?:429|50[0-4]) [A-Za-z -]*:/i;
+
+const LATENCY_SMOOTHING = 0.3;
+const BASE_COOLDOWN_MS = 5000;
+const MAX_COOLDOWN_MS = 60 * 1000;
+
+function parseUrls(value) {
+  return (value || '').split(',').map(u => u.trim()).filter(Boolean);
+}
+
+// Hosts only: RPC URLs often carry API keys in the path or query string
+function describeUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+class RpcPool {
+  // wsUrl is the WebSocket endpoint of the first read URL; the others derive theirs from their HTTP URL
+  constructor({ readUrls = [], sendUrls = [], wsUrl = null, commitment = 'confirmed', timeoutMs = 10000 } = {}) {
+    if (readUrls.length === 0) throw new Error('RpcPool needs at least one read endpoint');
+
+    this.commitment = commitment;
+    this.timeoutMs = timeoutMs;
+    this.wsUrls = new Map(wsUrl ? [[readUrls[0], wsUrl]] : []);
+
+    // One endpoint object per URL so an RPC used for both roles shares its health stats
+    this.endpoints = new Map();
+    this.readEndpoints = readUrls.map(url => this._endpoint(url, 'read'));
+    this.sendEndpoints = (sendUrls.length ? sendUrls : readUrls).map(url => this._endpoint(url, 'send'));
+  }
+
+  // Shared instance built from SOLANA_RPC_URLS / SOLANA_SEND_RPC_URLS, falling back to SOLANA_RPC_URL
+  static fromEnv() {
+    if (!RpcPool.shared) {
+      const readUrls = parseUrls(process.env.SOLANA_RPC_URLS || process.env.SOLANA_RPC_URL);
+      const sendUrls = parseUrls(process.env.SOLANA_SEND_RPC_URLS);
+      RpcPool.shared = new RpcPool({ readUrls, sendUrls, wsUrl: process.env.SOLANA_WS_URL });
+    }
+    return RpcPool.shared;
+  }
+
+  log(...args) {
+    console.log(new Date().toISOString(), ...args);
+  }
+
+  _endpoint(url, role) {
+    let endpoint = this.endpoints.get(url);
+    if (!endpoint) {
+      endpoint = {
+        url,
+        // Rate limits fail over to the next endpoint instead of backing off in web3.js
+        connection: new Connection(url, {
+          commitment: this.commitment,
+          disableRetryOnRateLimit: true,
+          wsEndpoint: this.wsUrls.get(url),
+        }),
+        roles: new Set(),
+        latencyMs: null,
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        cooldownUntil: 0,
+        lastError: null,
+      };
+      this.endpoints.set(url, endpoint);
+    }
+    endpoint.roles.add(role);
+    return endpoint;
+  }
+
+  // Healthy endpoints by measured latency (unmeasured keep configured order), then cooling-down ones
+  rank(kind = 'read') {
+    const now = Date.now();
+    const list = kind === 'send' ? this.sendEndpoints : this.readEndpoints;
+    const healthy = list.filter(e => e.cooldownUntil <= now);
+    const cooling = list.filter(e => e.cooldownUntil > now);
+
+    healthy.sort((a, b) => (a.latencyMs ?? 0) - (b.latencyMs ?? 0));
+    cooling.sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+    return [...healthy, ...cooling];
+  }
+
+  _recordSuccess(endpoint, elapsedMs) {
+    endpoint.successes++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+    endpoint.latencyMs = endpoint.latencyMs == null
+      ? elapsedMs
+      : endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + elapsedMs * LATENCY_SMOOTHING;
+  }
+
+  _recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.message;
+    const cooldown = Math.min(BASE_COOLDOWN_MS * 2 ** (endpoint.consecutiveFailures - 1), MAX_COOLDOWN_MS);
+    endpoint.cooldownUntil = Date.now() + cooldown;
+  }
+
+  _withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`RPC request timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Runs fn(connection) against the best endpoint, failing over on transport errors
+  async call(kind, fn, label = 'request') {
+    let lastError;
+
+    for (const endpoint of this.rank(kind)) {
+      const startedAt = Date.now();
+      try {
+        const result = await this._withTimeout(fn(endpoint.connection));
+        this._recordSuccess(endpoint, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        if (!TRANSPORT_ERROR.test(error?.message || '')) {
+          // The endpoint answered; the request itself was rejected
+          this._recordSuccess(endpoint, Date.now() - startedAt);
+          throw error;
+        }
+        this._recordFailure(endpoint, error);
+        this.log(`⚠️ RPC ${label} failed on ${describeUrl(endpoint.url)}, failing over:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  // A Connection stand-in whose request methods go through the pool. Subscriptions and other
+  // non-request members are served by the current best endpoint directly.
+  createConnection(kind = 'read') {
+    const pool = this;
+    return new Proxy(this.readEndpoints[0].connection, {
+      get(target, prop) {
+        const connection = pool.rank(kind)[0].connection;
+        const value = connection[prop];
+        if (typeof value !== 'function' || typeof prop !== 'string') return value;
+        if (/^(on|remove|_)/.test(prop)) return value.bind(connection);
+
+        const role = SEND_METHODS.has(prop) ? 'send' : kind;
+        return (...args) => pool.call(role, (conn) => conn[prop](...args), prop);
+      },
+    });
+  }
+
+  // The best endpoint's own Connection, for subscriptions that must be removed where they were made
+  getConnection(kind = 'read') {
+    return this.rank(kind)[0].connection;
+  }
+
+  isHealthy(connection) {
+    const endpoint = [...this.endpoints.values()].find(e => e.connection === connection);
+    return !!endpoint && endpoint.cooldownUntil <= Date.now();
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return [...this.endpoints.values()].map(e => ({
+      host: describeUrl(e.url),
+      roles: [...e.roles],
+      latencyMs: e.latencyMs == null ? null : Math.round(e.latencyMs),
+      successes: e.successes,
+      failures: e.failures,
+      healthy: e.cooldownUntil <= now,
+      lastError: e.lastError,
+    }));
+  }
+}
+
+module.exports = RpcPool;
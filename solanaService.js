@@ -1,26 +1,60 @@
 // solanaService.js
 const {
-  Connection,
   PublicKey,
   LAMPORTS_PER_SOL,
   Transaction,
-  sendAndConfirmTransaction,
   Keypair,
   SystemProgram,
+  VersionedTransaction,
+  ComputeBudgetProgram,
 } = require('@solana/web3.js');
 
 const {
   getAssociatedTokenAddress,
   createAssociatedTokenAccountInstruction,
+  createCloseAccountInstruction,
   TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
 } = require('@solana/spl-token');
+const {
+  OnlinePumpAmmSdk,
+  PUMP_AMM_SDK,
+  canonicalPumpPoolPda,
+  buyQuoteInput,
+  sellBaseInput,
+} = require('@pump-fun/pump-swap-sdk');
+const BN = require('bn.js');
 const bs58 = require('bs58');
 const Bottleneck = require('bottleneck');
-const axios = require('axios');
+const { decodeBondingCurve } = require('./bondingCurve');
+const { parseFill, parseHoldingChange } = require('./fillParser');
+const { deriveMetadataPda, decodeMetaplexMetadata, getToken2022Metadata } = require('./tokenMetadata');
+const PriceService = require('./priceService');
+const JupiterService = require('./jupiterService');
+const TransactionSender = require('./transactionSender');
+const RpcPool = require('./rpcPool');
+const { JUPITER_DEX_LABELS } = require('./venueClassifier');
+const { TX_EXPIRED } = TransactionSender;
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Compute budget bounds
+const MAX_COMPUTE_UNITS = 1_400_000;
+const COMPUTE_UNIT_MARGIN = 1.15;
+const MAX_PRIORITY_FEE_MICRO_LAMPORTS = 5_000_000;
+
+// How many times a transaction may be rebuilt after its predecessor provably expired
+const MAX_RESIGNS = 2;
+
+// Close instructions per transaction when sweeping empty token accounts
+const CLOSE_ACCOUNTS_PER_TX = 10;
 
 class SolanaService {
-  constructor() {
-    this.connection = new Connection(process.env.SOLANA_RPC_URL, 'confirmed');
+  constructor(options = {}) {
+    // Reads and sends are spread over the configured endpoints with failover
+    this.rpcPool = options.rpcPool || RpcPool.fromEnv();
+    this.connection = this.rpcPool.createConnection('read');
 
     // Rate limiter
     this.limiter = new Bottleneck({
@@ -30,6 +64,8 @@ class SolanaService {
 
     // Caches
     this.tokenMetadataCache = new Map();
+    // Decimals and owning token program never change for a mint, so these entries don't expire
+    this.mintInfoCache = new Map();
     this.priceCache = new Map();
     this.cacheConfig = {
       tokenMetadata: 5 * 60 * 1000,
@@ -41,14 +77,37 @@ class SolanaService {
     this.GLOBAL_FEE_VAULT = new PublicKey('CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM');
     this.CONFIG_AUTHORITY = new PublicKey('Ce6TQqeCH9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1');
 
-    // Buy discriminator
+    // Instruction discriminators
     this.BUY_DISCRIM_HEX = '66063d1201daebea';
+    this.SELL_DISCRIM_HEX = '33e685a4017f83ad';
+
+    // Protocol fee charged by the bonding curve on the SOL side (basis points)
+    this.PUMP_FEE_BPS = 100n;
+
+    // PumpSwap AMM (where pump.fun tokens trade once their bonding curve completes)
+    this.pumpAmm = new OnlinePumpAmmSdk(this.connection);
+
+    // Aggregator for everything that is not a pump.fun token
+    this.jupiter = new JupiterService({ baseUrl: options.jupiterBaseUrl });
+
+    // Signs once, rebroadcasts until confirmed or expired
+    this.sender = new TransactionSender(this.connection, options.sender);
+
+    this.priceService = new PriceService(this);
   }
 
   log(...args) {
     console.log(new Date().toISOString(), ...args);
   }
 
+  // Re-throw with context while keeping the sender's error code and signature
+  _wrapError(prefix, err) {
+    const wrapped = new Error(`${prefix}: ${err?.message || err}`);
+    wrapped.code = err?.code;
+    wrapped.signature = err?.signature;
+    return wrapped;
+  }
+
   // -------------------- CACHE HELPERS --------------------
   setCacheWithExpiry(cache, key, value, expiry) {
     cache.set(key, { value, expiry: Date.now() + expiry });
@@ -77,19 +136,120 @@ class SolanaService {
     }
   }
 
+  // SOL balance; throws when it can't be read
+  async getSolBalance(publicKeyStr) {
+    const publicKey = new PublicKey(publicKeyStr);
+    const balance = await this.limiter.schedule(() =>
+      this.connection.getBalance(publicKey)
+    );
+    return balance / LAMPORTS_PER_SOL;
+  }
+
+  // SOL balance, 0 when it can't be read
   async getWalletBalance(publicKeyStr) {
     try {
-      const publicKey = new PublicKey(publicKeyStr);
-      const balance = await this.limiter.schedule(() =>
-        this.connection.getBalance(publicKey)
-      );
-      return balance / LAMPORTS_PER_SOL;
+      return await this.getSolBalance(publicKeyStr);
     } catch (error) {
       this.log('Error getting wallet balance:', error);
       return 0;
     }
   }
 
+  // -------------------- TOKEN HOLDINGS --------------------
+  // All SPL and Token-2022 accounts owned by the wallet, with metadata and SOL/USD valuations
+  async getTokenAccounts(ownerAddress, { includeEmpty = false } = {}) {
+    const owner = new PublicKey(ownerAddress);
+    const programs = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+    const results = await Promise.all(programs.map(programId =>
+      this.limiter.schedule(() => this.connection.getParsedTokenAccountsByOwner(owner, { programId }))
+    ));
+
+    const accounts = results.flatMap((res, i) => res.value.map(({ pubkey, account }) => {
+      const info = account.data.parsed.info;
+      return {
+        tokenAccount: pubkey.toBase58(),
+        mint: info.mint,
+        programId: programs[i].toBase58(),
+        rawAmount: info.tokenAmount.amount,
+        amount: Number(info.tokenAmount.uiAmountString || 0),
+        decimals: info.tokenAmount.decimals,
+        lamports: account.lamports,
+      };
+    }));
+
+    const holdings = includeEmpty ? accounts : accounts.filter(a => a.rawAmount !== '0');
+
+    return Promise.all(holdings.map(async (holding) => {
+      const [meta, prices] = await Promise.all([
+        this.getTokenMetadata(holding.mint),
+        holding.rawAmount === '0' ? { sol: 0, usd: 0 } : this.priceService.getTokenPrices(holding.mint),
+      ]);
+      return {
+        ...holding,
+        symbol: meta.symbol,
+        name: meta.name,
+        priceSol: prices.sol,
+        priceUsd: prices.usd,
+        valueSol: holding.amount * prices.sol,
+        valueUsd: holding.amount * prices.usd,
+      };
+    }));
+  }
+
+  async getPortfolio(ownerAddress) {
+    const [solBalance, holdings, solUsd] = await Promise.all([
+      this.getWalletBalance(ownerAddress),
+      this.getTokenAccounts(ownerAddress),
+      this.priceService.getSolPriceUSD(),
+    ]);
+
+    holdings.sort((a, b) => b.valueSol - a.valueSol);
+    const tokensValueSol = holdings.reduce((sum, h) => sum + h.valueSol, 0);
+    const totalSol = solBalance + tokensValueSol;
+
+    return {
+      solBalance,
+      holdings,
+      tokensValueSol,
+      totalSol,
+      totalUsd: totalSol * solUsd,
+    };
+  }
+
+  // -------------------- MINT INFO / TOKEN PROGRAM --------------------
+  // Returns { decimals, tokenProgramId, parsed } for a mint owned by either SPL Token or Token-2022
+  async getMintInfo(mintAddress) {
+    const cached = this.mintInfoCache.get(mintAddress);
+    if (cached) return cached;
+
+    const mintInfo = await this.limiter.schedule(() =>
+      this.connection.getParsedAccountInfo(new PublicKey(mintAddress))
+    );
+    const account = mintInfo?.value;
+    if (!account) throw new Error(`Mint ${mintAddress} not found`);
+
+    const owner = account.owner.toBase58();
+    if (owner !== TOKEN_PROGRAM_ID.toBase58() && owner !== TOKEN_2022_PROGRAM_ID.toBase58()) {
+      throw new Error(`${mintAddress} is not a token mint`);
+    }
+
+    const parsed = account.data?.parsed?.info;
+    const info = {
+      decimals: parsed?.decimals ?? 9,
+      tokenProgramId: account.owner,
+      isToken2022: owner === TOKEN_2022_PROGRAM_ID.toBase58(),
+      parsed,
+    };
+    this.mintInfoCache.set(mintAddress, info);
+    return info;
+  }
+
+  async getTokenProgramId(mintAddress) {
+    const { tokenProgramId } = await this.getMintInfo(mintAddress);
+    return tokenProgramId;
+  }
+
   // -------------------- TOKEN METADATA --------------------
   async getTokenMetadata(mintAddress) {
     try {
@@ -107,16 +267,18 @@ class SolanaService {
       if (cached) return cached;
 
       const mintPubkey = new PublicKey(mintAddress);
-      const mintInfo = await this.limiter.schedule(() =>
-        this.connection.getParsedAccountInfo(mintPubkey)
-      );
+      const { decimals, tokenProgramId, parsed: parsedInfo } = await this.getMintInfo(mintAddress);
+
+      // Token-2022 metadata extension first, then the Metaplex metadata account
+      const onChain = getToken2022Metadata(parsedInfo) || await this._getMetaplexMetadata(mintPubkey);
 
-      const decimals = mintInfo?.value?.data?.parsed?.info?.decimals ?? 9;
       const tokenData = {
         mint: mintAddress,
-        name: 'Unknown Token',
-        symbol: 'UNKNOWN',
+        name: onChain?.name || 'Unknown Token',
+        symbol: onChain?.symbol || 'UNKNOWN',
+        uri: onChain?.uri || null,
         decimals,
+        tokenProgram: tokenProgramId.toBase58(),
         logoURI: null,
       };
 
@@ -128,29 +290,30 @@ class SolanaService {
     }
   }
 
+  async _getMetaplexMetadata(mintPubkey) {
+    try {
+      const account = await this.limiter.schedule(() =>
+        this.connection.getAccountInfo(deriveMetadataPda(mintPubkey))
+      );
+      return account ? decodeMetaplexMetadata(account.data) : null;
+    } catch (error) {
+      this.log(`⚠️ Metaplex metadata decode failed for ${mintPubkey.toBase58()}:`, error.message);
+      return null;
+    }
+  }
+
   // -------------------- PRICE --------------------
   async getIndicativePriceUSD(tokenAddress) {
     try {
-      const cached = this.getCacheValue(this.priceCache, tokenAddress);
-      if (cached) return cached;
-
-      let price = 0;
-      if (tokenAddress === 'SOL' || tokenAddress === 'So11111111111111111111111111111111111111112') {
-        try {
-          const response = await axios.get(
-            'https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd'
-          );
-          price = response.data?.solana?.usd || 0;
-        } catch {
-          price = 0;
-        }
-      } else {
-        price = 0; // placeholder for token USD price
-      }
+      return await this.priceService.getTokenPriceUSD(tokenAddress);
+    } catch {
+      return 0;
+    }
+  }
 
-      if (price > 0)
-        this.setCacheWithExpiry(this.priceCache, tokenAddress, price, this.cacheConfig.price);
-      return price;
+  async getTokenPriceSOL(tokenAddress) {
+    try {
+      return await this.priceService.getTokenPriceSOL(tokenAddress);
     } catch {
       return 0;
     }
@@ -173,23 +336,465 @@ class SolanaService {
     return pda;
   }
 
-  async _getOrCreateATAIx(ownerPubkey, mintPubkey, payerPubkey) {
-    const ata = await getAssociatedTokenAddress(mintPubkey, ownerPubkey, true);
+  async _getBondingCurveState(bondingCurvePda) {
+    const info = await this.limiter.schedule(() =>
+      this.connection.getAccountInfo(bondingCurvePda)
+    );
+    if (!info) throw new Error('Bonding curve account not found');
+    return decodeBondingCurve(info.data);
+  }
+
+  // Decoded bonding curve for a mint, or null when the mint was not launched on pump.fun
+  async getBondingCurve(mintAddress) {
+    try {
+      const bondingCurvePda = await this._deriveBondingCurvePda(new PublicKey(mintAddress));
+      return await this._getBondingCurveState(bondingCurvePda);
+    } catch {
+      return null;
+    }
+  }
+
+  // Raw token units bought for `lamportsIn`, after the protocol fee is taken on top of the curve input
+  _quoteBuyTokens(curve, lamportsIn) {
+    if (lamportsIn <= 0n) return 0n;
+    const solIntoCurve = (lamportsIn * 10000n) / (10000n + this.PUMP_FEE_BPS);
+    const k = curve.virtualSolReserves * curve.virtualTokenReserves;
+    const newVirtualToken = k / (curve.virtualSolReserves + solIntoCurve) + 1n;
+    const tokensOut = curve.virtualTokenReserves - newVirtualToken;
+    return tokensOut < curve.realTokenReserves ? tokensOut : curve.realTokenReserves;
+  }
+
+  // SOL (lamports) received for selling `tokenAmount` raw units, after the protocol fee
+  _quoteSellLamports(curve, tokenAmount) {
+    if (tokenAmount <= 0n) return 0n;
+    const grossSol = (tokenAmount * curve.virtualSolReserves) / (curve.virtualTokenReserves + tokenAmount);
+    const fee = (grossSol * this.PUMP_FEE_BPS) / 10000n;
+    return grossSol - fee;
+  }
+
+  // -------------------- QUOTES (Pump.fun bonding curve) --------------------
+  async quotePumpBuy({ mint, solAmount, slippageBps = 500 }) {
+    const mintPubkey = new PublicKey(mint);
+    const bondingCurvePda = await this._deriveBondingCurvePda(mintPubkey);
+    const curve = await this._getBondingCurveState(bondingCurvePda);
+    if (curve.complete) throw new Error('Bonding curve is complete');
+
+    const { decimals } = await this.getMintInfo(mint);
+    const lamportsIn = BigInt(Math.floor(Number(solAmount) * LAMPORTS_PER_SOL));
+    const tokensOutRaw = this._quoteBuyTokens(curve, lamportsIn);
+    if (tokensOutRaw <= 0n) throw new Error('Quote returned no tokens');
+
+    const maxSolCost = (lamportsIn * (10000n + BigInt(slippageBps))) / 10000n;
+    const tokensOut = Number(tokensOutRaw) / 10 ** decimals;
+
+    return {
+      mint,
+      side: 'buy',
+      decimals,
+      lamportsIn,
+      tokensOutRaw,
+      maxSolCost,
+      solIn: Number(lamportsIn) / LAMPORTS_PER_SOL,
+      tokensOut,
+      price: Number(solAmount) / tokensOut, // SOL per token
+      slippageBps,
+      curve,
+    };
+  }
+
+  async quotePumpSell({ mint, tokenAmountRaw, decimals, slippageBps = 500 }) {
+    const mintPubkey = new PublicKey(mint);
+    const bondingCurvePda = await this._deriveBondingCurvePda(mintPubkey);
+    const curve = await this._getBondingCurveState(bondingCurvePda);
+    if (curve.complete) throw new Error('Bonding curve is complete');
+
+    const solOutRaw = this._quoteSellLamports(curve, tokenAmountRaw);
+    const minSolOut = (solOutRaw * (10000n - BigInt(slippageBps))) / 10000n;
+    const tokensIn = Number(tokenAmountRaw) / 10 ** decimals;
+    const solOut = Number(solOutRaw) / LAMPORTS_PER_SOL;
+
+    return {
+      mint,
+      side: 'sell',
+      decimals,
+      tokenAmountRaw,
+      solOutRaw,
+      minSolOut,
+      tokensIn,
+      solOut,
+      price: tokensIn > 0 ? solOut / tokensIn : 0, // SOL per token
+      slippageBps,
+      curve,
+    };
+  }
+
+  // A pump.fun mint has graduated once its curve is complete and liquidity sits in the PumpSwap pool
+  async isGraduated(mintAddress) {
+    const curve = await this.getBondingCurve(mintAddress);
+    return curve?.complete === true;
+  }
+
+  // -------------------- INTERNAL HELPERS (PumpSwap AMM) --------------------
+  async _getAmmSwapState(mintPubkey, userPubkey) {
+    const poolKey = canonicalPumpPoolPda(mintPubkey);
+    return this.limiter.schedule(() => this.pumpAmm.swapSolanaState(poolKey, userPubkey));
+  }
+
+  _ammQuoteArgs(state) {
+    const { pool } = state;
+    return {
+      baseReserve: state.poolBaseAmount,
+      quoteReserve: state.poolQuoteAmount,
+      virtualQuoteReserves: pool.virtualQuoteReserves,
+      globalConfig: state.globalConfig,
+      feeConfig: state.feeConfig,
+      baseMintAccount: state.baseMintAccount,
+      baseMint: state.baseMint,
+      coinCreator: pool.coinCreator,
+      creator: pool.creator,
+      quoteMint: pool.quoteMint,
+      isMayhemMode: pool.isMayhemMode,
+      creatorFeeBps: pool.creatorFeeBps,
+    };
+  }
+
+  // Price of one whole token in SOL from the canonical PumpSwap pool reserves
+  async getAmmPriceSOL(mintAddress) {
+    const mintPubkey = new PublicKey(mintAddress);
+    const pool = await this.limiter.schedule(() =>
+      this.pumpAmm.fetchPool(canonicalPumpPoolPda(mintPubkey))
+    );
+    const [base, quote] = await Promise.all([
+      this.limiter.schedule(() => this.connection.getTokenAccountBalance(pool.poolBaseTokenAccount)),
+      this.limiter.schedule(() => this.connection.getTokenAccountBalance(pool.poolQuoteTokenAccount)),
+    ]);
+    const baseUi = Number(base.value.uiAmount || 0);
+    const quoteUi = Number(quote.value.uiAmount || 0);
+    return baseUi > 0 ? quoteUi / baseUi : 0;
+  }
+
+  async _getOrCreateATAIx(ownerPubkey, mintPubkey, payerPubkey, tokenProgramId = TOKEN_PROGRAM_ID) {
+    const ata = await getAssociatedTokenAddress(mintPubkey, ownerPubkey, true, tokenProgramId);
     const info = await this.connection.getAccountInfo(ata);
     if (!info) {
       const ix = createAssociatedTokenAccountInstruction(
         payerPubkey,
         ata,
         ownerPubkey,
-        mintPubkey
+        mintPubkey,
+        tokenProgramId
       );
       return { ata, ix };
     }
     return { ata, ix: null };
   }
 
+  // -------------------- RENT RECLAIM --------------------
+  async getEmptyTokenAccounts(ownerAddress) {
+    const accounts = await this.getTokenAccounts(ownerAddress, { includeEmpty: true });
+    return accounts.filter(a => a.rawAmount === '0');
+  }
+
+  // Closes zero-balance token accounts, returning their rent to the owner.
+  // accounts: [{ tokenAccount, programId, lamports }]
+  async closeTokenAccounts({ decryptedKey, accounts, priorityFee = {} }) {
+    const payer = Keypair.fromSecretKey(bs58.decode(decryptedKey));
+    const signatures = [];
+    let closed = 0;
+    let reclaimedLamports = 0;
+
+    for (let i = 0; i < accounts.length; i += CLOSE_ACCOUNTS_PER_TX) {
+      const batch = accounts.slice(i, i + CLOSE_ACCOUNTS_PER_TX);
+      const instructions = batch.map(a => createCloseAccountInstruction(
+        new PublicKey(a.tokenAccount),
+        payer.publicKey,
+        payer.publicKey,
+        [],
+        new PublicKey(a.programId)
+      ));
+
+      try {
+        signatures.push(await this._sendInstructions(payer, instructions, priorityFee));
+        closed += batch.length;
+        reclaimedLamports += batch.reduce((sum, a) => sum + (a.lamports || 0), 0);
+      } catch (err) {
+        this.log('❌ Closing token accounts failed:', err?.message || err);
+      }
+    }
+
+    return { signatures, closed, reclaimedSol: reclaimedLamports / LAMPORTS_PER_SOL };
+  }
+
+  // Follow-up to a full exit: close the mint's ATA if nothing is left in it
+  async closeEmptyTokenAccount({ decryptedKey, mint, priorityFee = {} }) {
+    const payer = Keypair.fromSecretKey(bs58.decode(decryptedKey));
+    const tokenProgramId = await this.getTokenProgramId(mint);
+    const ata = await getAssociatedTokenAddress(new PublicKey(mint), payer.publicKey, true, tokenProgramId);
+
+    const account = await this.limiter.schedule(() => this.connection.getParsedAccountInfo(ata));
+    const info = account?.value?.data?.parsed?.info;
+    if (!info || info.tokenAmount.amount !== '0') return null;
+
+    return this.closeTokenAccounts({
+      decryptedKey,
+      accounts: [{ tokenAccount: ata.toBase58(), programId: tokenProgramId.toBase58(), lamports: account.value.lamports }],
+      priorityFee,
+    });
+  }
+
+  // -------------------- PRIORITY FEES / COMPUTE BUDGET --------------------
+  // priorityFee: { mode: 'fixed' | 'dynamic', microLamports, percentile }
+  async getPriorityFeeMicroLamports(priorityFee = {}, writableAccounts = []) {
+    if (priorityFee.mode === 'fixed') {
+      return Math.min(Math.max(0, Math.floor(priorityFee.microLamports || 0)), MAX_PRIORITY_FEE_MICRO_LAMPORTS);
+    }
+
+    try {
+      const fees = await this.limiter.schedule(() =>
+        this.connection.getRecentPrioritizationFees({ lockedWritableAccounts: writableAccounts })
+      );
+      if (!fees.length) return 0;
+
+      const sorted = fees.map(f => f.prioritizationFee).sort((a, b) => a - b);
+      const percentile = Math.min(Math.max(priorityFee.percentile || 75, 0), 100);
+      const index = Math.min(sorted.length - 1, Math.floor((percentile / 100) * sorted.length));
+      return Math.min(sorted[index], MAX_PRIORITY_FEE_MICRO_LAMPORTS);
+    } catch (error) {
+      this.log('⚠️ Priority fee lookup failed:', error.message);
+      return 0;
+    }
+  }
+
+  _buildTransaction(payer, blockhash, instructions, { computeUnits, microLamports }) {
+    const tx = new Transaction({ recentBlockhash: blockhash, feePayer: payer.publicKey });
+    if (computeUnits) tx.add(ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits }));
+    if (microLamports > 0) tx.add(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+    tx.add(...instructions);
+    return tx;
+  }
+
+  // Sizes the CU budget from one simulation, then signs and sends through the idempotent sender.
+  // A fresh blockhash is only fetched once the previous signature is known to be dead.
+  async _sendInstructions(payer, instructions, priorityFee = {}, onAttempt = null) {
+    const writableAccounts = [
+      ...new Set(
+        instructions.flatMap(ix => ix.keys.filter(k => k.isWritable && !k.isSigner).map(k => k.pubkey.toBase58()))
+      ),
+    ].map(key => new PublicKey(key));
+
+    const microLamports = await this.getPriorityFeeMicroLamports(priorityFee, writableAccounts);
+
+    let computeUnits = null;
+    try {
+      const { blockhash } = await this.connection.getLatestBlockhash();
+      const simTx = this._buildTransaction(payer, blockhash, instructions, {
+        computeUnits: MAX_COMPUTE_UNITS,
+        microLamports,
+      });
+      const simResult = await this.connection.simulateTransaction(simTx);
+      this.log('Simulation result:', simResult.value);
+      if (simResult.value.unitsConsumed) {
+        computeUnits = Math.min(Math.ceil(simResult.value.unitsConsumed * COMPUTE_UNIT_MARGIN), MAX_COMPUTE_UNITS);
+      }
+    } catch (simErr) {
+      this.log('Simulation failed (continuing to send):', simErr.message || simErr);
+    }
+    this.log('Compute budget:', { computeUnits: computeUnits || 'default', microLamports });
+
+    for (let resign = 0; ; resign++) {
+      const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+      const tx = this._buildTransaction(payer, blockhash, instructions, { computeUnits, microLamports });
+      tx.sign(payer);
+
+      try {
+        const { signature } = await this.sender.send(tx, { blockhash, lastValidBlockHeight, onAttempt });
+        return signature;
+      } catch (err) {
+        if (err.code !== TX_EXPIRED || resign >= MAX_RESIGNS) throw err;
+        this.log(`↻ ${err.signature} expired unseen, re-signing with a fresh blockhash`);
+      }
+    }
+  }
+
+  // -------------------- FILLS --------------------
+  // Confirmed transactions can take a moment to become queryable, so poll briefly
+  async getParsedTransaction(signature, { attempts = 5, delayMs = 1500 } = {}) {
+    for (let i = 0; i < attempts; i++) {
+      const tx = await this.limiter.schedule(() =>
+        this.connection.getParsedTransaction(signature, {
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0,
+        })
+      );
+      if (tx) return tx;
+      if (i < attempts - 1) await new Promise(res => setTimeout(res, delayMs));
+    }
+    return null;
+  }
+
+  async getTransactionFill(signature, ownerAddress, mintAddress, options = {}) {
+    const tx = await this.getParsedTransaction(signature, options);
+    if (!tx) throw new Error(`Transaction ${signature} not found`);
+    return parseFill(tx, ownerAddress, mintAddress);
+  }
+
+  // { before, after } raw holding of a mint around a transaction
+  async getHoldingChange(signature, ownerAddress, mintAddress, options = {}) {
+    const tx = await this.getParsedTransaction(signature, options);
+    if (!tx) throw new Error(`Transaction ${signature} not found`);
+    return parseHoldingChange(tx, ownerAddress, mintAddress);
+  }
+
+  // Current UI balance of a mint across all of the owner's token accounts
+  async getTokenBalance(ownerAddress, mintAddress) {
+    const { amount, decimals } = await this._getTokenBalanceRaw(new PublicKey(ownerAddress), new PublicKey(mintAddress));
+    return decimals == null ? 0 : Number(amount) / 10 ** decimals;
+  }
+
+  // -------------------- VENUE ROUTER --------------------
+  // pump.fun mints trade on their bonding curve, then PumpSwap once graduated; anything else goes to Jupiter
+  async getVenue(mintAddress) {
+    const curve = await this.getBondingCurve(mintAddress);
+    if (!curve) return 'jupiter';
+    return curve.complete ? 'pumpswap' : 'pumpfun';
+  }
+
+  // `venue` is where the alpha traded. AMM venues are copied through Jupiter pinned to that DEX;
+  // pump.fun / PumpSwap (or no hint) go by the token's bonding curve state.
+  async executeSwap({ decryptedKey, side, tokenIn, tokenOut, amountIn, slippageBps = 500, priorityFee = {}, venue: alphaVenue = null, onAttempt = null }) {
+    const mint = side === 'sell' ? tokenIn : tokenOut;
+    const dexLabel = JUPITER_DEX_LABELS[alphaVenue];
+    const venue = dexLabel ? 'jupiter' : await this.getVenue(mint);
+    this.log(`Routing ${side} of ${mint} via ${venue}${dexLabel ? ` (${dexLabel})` : ''}`);
+
+    if (venue === 'jupiter') {
+      const dexes = dexLabel ? [dexLabel] : null;
+      return this.executeJupiterSwap({ decryptedKey, side, mint, amountIn, slippageBps, priorityFee, dexes, onAttempt });
+    }
+
+    const exec = side === 'sell'
+      ? await this.executePumpSell({ decryptedKey, mint, tokenAmount: amountIn, slippageBps, priorityFee, onAttempt })
+      : await this.executePumpSwap({ decryptedKey, tokenIn, tokenOut, amountIn, slippageBps, priorityFee, onAttempt });
+
+    const { quote } = exec;
+    return {
+      ...exec,
+      venue: quote?.venue || venue,
+      route: {
+        venue: quote?.venue || venue,
+        mint,
+        side,
+        inAmount: exec.inputAmount,
+        outAmount: exec.outputAmount,
+        slippageBps,
+      },
+    };
+  }
+
+  // -------------------- SWAP (Jupiter aggregator) --------------------
+  async _getTokenBalanceRaw(ownerPubkey, mintPubkey) {
+    const res = await this.limiter.schedule(() =>
+      this.connection.getParsedTokenAccountsByOwner(ownerPubkey, { mint: mintPubkey })
+    );
+    let amount = 0n;
+    let decimals = null;
+    for (const { account } of res.value) {
+      const tokenAmount = account.data.parsed.info.tokenAmount;
+      amount += BigInt(tokenAmount.amount);
+      decimals = tokenAmount.decimals;
+    }
+    return { amount, decimals };
+  }
+
+  async executeJupiterSwap({ decryptedKey, side, mint, amountIn, slippageBps = 500, priorityFee = {}, dexes = null, onAttempt = null }) {
+    try {
+      const secretKey = bs58.decode(decryptedKey);
+      const payer = Keypair.fromSecretKey(secretKey);
+      const mintPubkey = new PublicKey(mint);
+
+      let amountRaw;
+      let decimals;
+      if (side === 'sell') {
+        const held = await this._getTokenBalanceRaw(payer.publicKey, mintPubkey);
+        decimals = held.decimals ?? (await this.getMintInfo(mint)).decimals;
+        amountRaw = BigInt(Math.floor(Number(amountIn) * 10 ** decimals));
+        if (amountRaw > held.amount) amountRaw = held.amount;
+        if (amountRaw <= 0n) throw new Error('No token balance to sell');
+      } else {
+        decimals = (await this.getMintInfo(mint)).decimals;
+        amountRaw = BigInt(Math.floor(Number(amountIn) * LAMPORTS_PER_SOL));
+      }
+
+      // Jupiter sizes the CU limit itself; we only supply the price
+      const computeUnitPriceMicroLamports = await this.getPriorityFeeMicroLamports(priorityFee, [mintPubkey]);
+
+      // Jupiter bakes the blockhash into the transaction, so a dead attempt needs a fresh quote and build
+      let quoteResponse;
+      let signature;
+      for (let resign = 0; !signature; resign++) {
+        const quoteParams = {
+          inputMint: side === 'sell' ? mint : WSOL_MINT,
+          outputMint: side === 'sell' ? WSOL_MINT : mint,
+          amount: amountRaw,
+          slippageBps,
+        };
+        try {
+          quoteResponse = await this.jupiter.getQuote({ ...quoteParams, dexes });
+        } catch (err) {
+          if (!dexes) throw err;
+          // The alpha's pool may be gone or unindexed; any route beats no copy
+          this.log(`No ${dexes.join(', ')} route for ${mint}, using any Jupiter route`);
+          dexes = null;
+          quoteResponse = await this.jupiter.getQuote(quoteParams);
+        }
+
+        const { swapTransaction, lastValidBlockHeight } = await this.jupiter.getSwapTransaction({
+          quoteResponse,
+          userPublicKey: payer.publicKey.toBase58(),
+          computeUnitPriceMicroLamports,
+        });
+
+        const tx = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+        tx.sign([payer]);
+
+        try {
+          ({ signature } = await this.sender.send(tx, {
+            blockhash: tx.message.recentBlockhash,
+            lastValidBlockHeight,
+            onAttempt,
+          }));
+        } catch (err) {
+          if (err.code !== TX_EXPIRED || resign >= MAX_RESIGNS) throw err;
+          this.log(`↻ ${err.signature} expired unseen, requesting a new Jupiter transaction`);
+        }
+      }
+
+      const solDecimals = 9;
+      const inAmount = Number(quoteResponse.inAmount) / 10 ** (side === 'sell' ? decimals : solDecimals);
+      const outAmount = Number(quoteResponse.outAmount) / 10 ** (side === 'sell' ? solDecimals : decimals);
+      const tokens = side === 'sell' ? inAmount : outAmount;
+      const sol = side === 'sell' ? outAmount : inAmount;
+      const route = this.jupiter.summarizeRoute(quoteResponse);
+
+      this.log('✅ Jupiter swap executed', { signature, side, route: route.routePlan.map(r => r.label).join(' → ') });
+      return {
+        signature,
+        venue: 'jupiter',
+        route,
+        quote: { ...route, side, decimals, price: tokens > 0 ? sol / tokens : 0 },
+        inputAmount: inAmount,
+        outputAmount: outAmount,
+        price: tokens > 0 ? sol / tokens : 0,
+        priceImpact: Number(quoteResponse.priceImpactPct || 0),
+      };
+    } catch (err) {
+      this.log('❌ Jupiter swap failed:', err?.message || err);
+      throw this._wrapError(`Jupiter ${side} failed`, err);
+    }
+  }
+
   // -------------------- SWAP (Pump.fun BUY) --------------------
-  async executePumpSwap({ decryptedKey, tokenIn = 'SOL', tokenOut, amountIn }) {
+  async executePumpSwap({ decryptedKey, tokenIn = 'SOL', tokenOut, amountIn, slippageBps = 500, priorityFee = {}, onAttempt = null }) {
     if (!tokenOut || !amountIn) throw new Error('tokenOut and amountIn are required');
 
     try {
@@ -202,15 +807,17 @@ class SolanaService {
 
       const mintPubkey = new PublicKey(tokenOut);
 
-      const { blockhash } = await this.connection.getLatestBlockhash();
+      if (await this.isGraduated(tokenOut)) {
+        return await this.executeAmmBuy({ payer, mintPubkey, amountIn, slippageBps, priorityFee, onAttempt });
+      }
 
-      const lamportsIn = BigInt(Math.floor(Number(amountIn) * 1e9));
-      const maxSol = BigInt(-1);
+      // The instruction takes a token amount out and caps the SOL spent, so quote SOL -> tokens first
+      const quote = await this.quotePumpBuy({ mint: tokenOut, solAmount: amountIn, slippageBps });
 
       const data = Buffer.alloc(24);
       Buffer.from(this.BUY_DISCRIM_HEX, 'hex').copy(data, 0);
-      data.writeBigInt64LE(lamportsIn, 8);
-      data.writeBigInt64LE(maxSol, 16);
+      data.writeBigUInt64LE(quote.tokensOutRaw, 8);
+      data.writeBigUInt64LE(quote.maxSolCost, 16);
 
       const [globalPda] = await PublicKey.findProgramAddress([Buffer.from('global')], this.PUMP_PROGRAM_ID);
       const [bondingCurvePda] = await PublicKey.findProgramAddress(
@@ -218,11 +825,13 @@ class SolanaService {
         this.PUMP_PROGRAM_ID
       );
 
-      const bondingCurveATA = await getAssociatedTokenAddress(mintPubkey, bondingCurvePda, true);
+      const tokenProgramId = await this.getTokenProgramId(tokenOut);
+      const bondingCurveATA = await getAssociatedTokenAddress(mintPubkey, bondingCurvePda, true, tokenProgramId);
       const { ata: userATA, ix: createUserAtaIx } = await this._getOrCreateATAIx(
         payer.publicKey,
         mintPubkey,
-        payer.publicKey
+        payer.publicKey,
+        tokenProgramId
       );
 
       const keys = [
@@ -234,7 +843,7 @@ class SolanaService {
         { pubkey: userATA, isSigner: false, isWritable: true },
         { pubkey: payer.publicKey, isSigner: true, isWritable: true },
         { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-        { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+        { pubkey: tokenProgramId, isSigner: false, isWritable: false },
         { pubkey: new PublicKey("SysvarRent11111111111111111111111111111111"), isSigner: false, isWritable: false },
         { pubkey: this.CONFIG_AUTHORITY, isSigner: false, isWritable: false },
         { pubkey: this.PUMP_PROGRAM_ID, isSigner: false, isWritable: false },
@@ -242,26 +851,164 @@ class SolanaService {
 
       const buyIx = { keys, programId: this.PUMP_PROGRAM_ID, data };
 
-      const tx = new Transaction({ recentBlockhash: blockhash, feePayer: payer.publicKey });
-      if (createUserAtaIx) tx.add(createUserAtaIx);
-      tx.add(buyIx);
+      const instructions = createUserAtaIx ? [createUserAtaIx, buyIx] : [buyIx];
+      const signature = await this._sendInstructions(payer, instructions, priorityFee, onAttempt);
+      this.log('✅ PumpFun BUY executed', { signature, expectedTokens: quote.tokensOut });
+      return {
+        signature,
+        quote,
+        inputAmount: quote.solIn,
+        outputAmount: quote.tokensOut,
+        price: quote.price,
+      };
+    } catch (err) {
+      this.log('❌ PumpFun BUY failed:', err?.message || err);
+      throw this._wrapError('Swap buy failed', err);
+    }
+  }
+
+  // -------------------- SWAP (Pump.fun SELL) --------------------
+  async executePumpSell({ decryptedKey, mint, tokenAmount, slippageBps = 500, priorityFee = {}, onAttempt = null }) {
+    if (!mint || !tokenAmount) throw new Error('mint and tokenAmount are required');
 
-      // Optional: simulate before sending
-      try {
-        const simResult = await this.connection.simulateTransaction(tx);
-        this.log('Simulation result:', simResult.value);
-      } catch (simErr) {
-        this.log('Simulation failed (continuing to send):', simErr.message || simErr);
+    try {
+      const secretKey = bs58.decode(decryptedKey);
+      const payer = Keypair.fromSecretKey(secretKey);
+      const mintPubkey = new PublicKey(mint);
+
+      if (await this.isGraduated(mint)) {
+        return await this.executeAmmSell({ payer, mintPubkey, tokenAmount, slippageBps, priorityFee, onAttempt });
       }
 
-      const signature = await sendAndConfirmTransaction(this.connection, tx, [payer], { commitment: 'confirmed' });
-      this.log('✅ PumpFun BUY executed', { signature });
-      return { signature };
+      const globalPda = await this._deriveGlobalPda();
+      const bondingCurvePda = await this._deriveBondingCurvePda(mintPubkey);
+      const tokenProgramId = await this.getTokenProgramId(mint);
+      const bondingCurveATA = await getAssociatedTokenAddress(mintPubkey, bondingCurvePda, true, tokenProgramId);
+      const userATA = await getAssociatedTokenAddress(mintPubkey, payer.publicKey, true, tokenProgramId);
+
+      const balance = await this.limiter.schedule(() =>
+        this.connection.getTokenAccountBalance(userATA)
+      );
+      const decimals = balance.value.decimals;
+      const heldRaw = BigInt(balance.value.amount);
+
+      // Never try to sell more than the wallet actually holds
+      let amountRaw = BigInt(Math.floor(Number(tokenAmount) * 10 ** decimals));
+      if (amountRaw > heldRaw) amountRaw = heldRaw;
+      if (amountRaw <= 0n) throw new Error('No token balance to sell');
+
+      const quote = await this.quotePumpSell({ mint, tokenAmountRaw: amountRaw, decimals, slippageBps });
+
+      const data = Buffer.alloc(24);
+      Buffer.from(this.SELL_DISCRIM_HEX, 'hex').copy(data, 0);
+      data.writeBigUInt64LE(amountRaw, 8);
+      data.writeBigUInt64LE(quote.minSolOut, 16);
+
+      const keys = [
+        { pubkey: globalPda, isSigner: false, isWritable: false },
+        { pubkey: this.GLOBAL_FEE_VAULT, isSigner: false, isWritable: true },
+        { pubkey: mintPubkey, isSigner: false, isWritable: false },
+        { pubkey: bondingCurvePda, isSigner: false, isWritable: true },
+        { pubkey: bondingCurveATA, isSigner: false, isWritable: true },
+        { pubkey: userATA, isSigner: false, isWritable: true },
+        { pubkey: payer.publicKey, isSigner: true, isWritable: true },
+        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+        { pubkey: ASSOCIATED_TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+        { pubkey: tokenProgramId, isSigner: false, isWritable: false },
+        { pubkey: this.CONFIG_AUTHORITY, isSigner: false, isWritable: false },
+        { pubkey: this.PUMP_PROGRAM_ID, isSigner: false, isWritable: false },
+      ];
+
+      const sellIx = { keys, programId: this.PUMP_PROGRAM_ID, data };
+
+      const signature = await this._sendInstructions(payer, [sellIx], priorityFee, onAttempt);
+      this.log('✅ PumpFun SELL executed', { signature, expectedSol: quote.solOut });
+      return {
+        signature,
+        quote,
+        inputAmount: quote.tokensIn,
+        outputAmount: quote.solOut,
+        price: quote.price,
+      };
     } catch (err) {
-      this.log('❌ PumpFun BUY failed:', err?.message || err);
-      throw new Error(`Swap buy failed: ${err?.message || err}`);
+      this.log('❌ PumpFun SELL failed:', err?.message || err);
+      throw this._wrapError('Swap sell failed', err);
     }
   }
+
+  // -------------------- SWAP (PumpSwap AMM, graduated tokens) --------------------
+  async executeAmmBuy({ payer, mintPubkey, amountIn, slippageBps = 500, priorityFee = {}, onAttempt = null }) {
+    const state = await this._getAmmSwapState(mintPubkey, payer.publicKey);
+    const decimals = state.baseMintAccount.decimals;
+    const quoteIn = new BN(Math.floor(Number(amountIn) * LAMPORTS_PER_SOL));
+
+    // The SDK takes slippage in percent
+    const { base, maxQuote } = buyQuoteInput({
+      quote: quoteIn,
+      slippage: slippageBps / 100,
+      ...this._ammQuoteArgs(state),
+    });
+    if (base.lten(0)) throw new Error('Quote returned no tokens');
+
+    const instructions = await PUMP_AMM_SDK.buyInstructions(state, base, maxQuote);
+    const signature = await this._sendInstructions(payer, instructions, priorityFee, onAttempt);
+
+    const tokensOut = Number(base.toString()) / 10 ** decimals;
+    const quote = {
+      mint: mintPubkey.toBase58(),
+      side: 'buy',
+      venue: 'pumpswap',
+      decimals,
+      solIn: Number(amountIn),
+      tokensOut,
+      maxSolCost: Number(maxQuote.toString()) / LAMPORTS_PER_SOL,
+      price: Number(amountIn) / tokensOut,
+      slippageBps,
+    };
+
+    this.log('✅ PumpSwap BUY executed', { signature, expectedTokens: tokensOut });
+    return { signature, quote, inputAmount: quote.solIn, outputAmount: tokensOut, price: quote.price };
+  }
+
+  async executeAmmSell({ payer, mintPubkey, tokenAmount, slippageBps = 500, priorityFee = {}, onAttempt = null }) {
+    const state = await this._getAmmSwapState(mintPubkey, payer.publicKey);
+    const decimals = state.baseMintAccount.decimals;
+
+    // Never try to sell more than the wallet actually holds
+    const balance = await this.limiter.schedule(() =>
+      this.connection.getTokenAccountBalance(state.userBaseTokenAccount)
+    );
+    let baseIn = new BN(Math.floor(Number(tokenAmount) * 10 ** decimals).toString());
+    const held = new BN(balance.value.amount);
+    if (baseIn.gt(held)) baseIn = held;
+    if (baseIn.lten(0)) throw new Error('No token balance to sell');
+
+    const { uiQuote, minQuote } = sellBaseInput({
+      base: baseIn,
+      slippage: slippageBps / 100,
+      ...this._ammQuoteArgs(state),
+    });
+
+    const instructions = await PUMP_AMM_SDK.sellInstructions(state, baseIn, minQuote);
+    const signature = await this._sendInstructions(payer, instructions, priorityFee, onAttempt);
+
+    const tokensIn = Number(baseIn.toString()) / 10 ** decimals;
+    const solOut = Number(uiQuote.toString()) / LAMPORTS_PER_SOL;
+    const quote = {
+      mint: mintPubkey.toBase58(),
+      side: 'sell',
+      venue: 'pumpswap',
+      decimals,
+      tokensIn,
+      solOut,
+      minSolOut: Number(minQuote.toString()) / LAMPORTS_PER_SOL,
+      price: tokensIn > 0 ? solOut / tokensIn : 0,
+      slippageBps,
+    };
+
+    this.log('✅ PumpSwap SELL executed', { signature, expectedSol: solOut });
+    return { signature, quote, inputAmount: tokensIn, outputAmount: solOut, price: quote.price };
+  }
 }
 
 module.exports = SolanaService;
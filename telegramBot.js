@@ -6,11 +6,29 @@ const {
 const { Menu } = require("@grammyjs/menu");
 const crypto = require("crypto");
 const bs58 = require("bs58");
-const { Keypair } = require("@solana/web3.js");
+const { Keypair, LAMPORTS_PER_SOL } = require("@solana/web3.js");
 
 const database = require("./database");
 const SolanaService = require("./solanaService");
 const HeliusService = require("./heliusService");
+const { SKIP_REASONS, SIZE_MODES, parseTakeProfitLadder, escapeHtml } = require("./tradingEngine");
+const { VENUE_GROUPS, parseVenueFilter } = require("./venueClassifier");
+
+// Human-readable text for signal_decisions.reason codes
+const SIGNAL_REASON_LABELS = {
+    [SKIP_REASONS.NOT_FOLLOWING_SELL]: "No position bought from this alpha",
+    [SKIP_REASONS.INVALID_TOKENS]: "Invalid token pair",
+    [SKIP_REASONS.BUY_ONLY]: "Alpha set to buy-only",
+    [SKIP_REASONS.BLACKLISTED]: "Token is blacklisted",
+    [SKIP_REASONS.INSUFFICIENT_BALANCE]: "Wallet balance too low",
+    [SKIP_REASONS.NO_POSITION]: "No open position to sell",
+    [SKIP_REASONS.SCALED_TOO_SMALL]: "Position scaling left too small an amount",
+    [SKIP_REASONS.AMOUNT_OUT_OF_LIMITS]: "Amount outside your trade limits",
+    [SKIP_REASONS.VENUE_FILTERED]: "Venue not enabled in your settings",
+    [SKIP_REASONS.EXECUTION_FAILED]: "Swap could not be executed",
+    [SKIP_REASONS.UNCONFIRMED]: "Transaction sent but not confirmed",
+    [SKIP_REASONS.ERROR]: "Unexpected error",
+};
 
 class TelegramBot {
     constructor() {
@@ -21,6 +39,7 @@ class TelegramBot {
             MAX_NICKNAME_LENGTH: 20,
             TEMP_MESSAGE_TIMEOUT: 5000,
             MAX_RECENT_TRADES: 10,
+            MAX_PORTFOLIO_HOLDINGS: 15,
             ENCRYPTION: {
                 ALGORITHM: 'aes-256-gcm',
                 KEY_LENGTH: 32,
@@ -37,8 +56,15 @@ class TelegramBot {
                 MAX_AMOUNT: 10,
                 MIN_TAKE_PROFIT: 1,
                 MAX_TAKE_PROFIT: 1000,
+                MAX_TP_RUNGS: 5,
                 MIN_STOP_LOSS: 1,
-                MAX_STOP_LOSS: 95
+                MAX_STOP_LOSS: 95,
+                MIN_TRAILING_STOP: 1,
+                MAX_TRAILING_STOP: 95,
+                MAX_PRIORITY_FEE: 5000000,
+                MAX_SIZE_MULTIPLIER: 10,
+                MIN_FEE_PERCENTILE: 1,
+                MAX_FEE_PERCENTILE: 100
             }
         };
 
@@ -105,6 +131,7 @@ class TelegramBot {
         this.bot.use(createConversation(this.walletConversation.bind(this), "wallet"));
         this.bot.use(createConversation(this.alphaWalletConversation.bind(this), "alphaWallet"));
         this.bot.use(createConversation(this.settingsConversation.bind(this), "settings"));
+        this.bot.use(createConversation(this.alphaSettingConversation.bind(this), "alphaSetting"));
     }
 
     setupMenus() {
@@ -131,18 +158,27 @@ class TelegramBot {
                 await ctx.reply("⚙️ <b>Trading Settings</b>", {
                     parse_mode: "HTML",
                     reply_markup: new InlineKeyboard()
+                        .text("📏 Sizing", "settings_sizing")
                         .text("💰 Max Trade Amount", "settings_maxAmount")
+                        .text("🔻 Min Trade Amount", "settings_minAmount")
+                        .row()
                         .text("📈 Slippage %", "settings_slippage")
+                        .text("⚡ Priority Fee", "settings_priorityFee")
                         .row()
                         .text("🎯 Take Profit %", "settings_takeprofit")
+                        .text("🪜 TP Ladder", "settings_tpladder")
+                        .row()
                         .text("🛑 Stop Loss %", "settings_stoploss")
+                        .text("📉 Trailing Stop", "settings_trailingstop")
                         .row()
+                        .text("🏦 Venues", "settings_venues")
                         .text("🤖 Auto-Sell Toggle", "autoselltoggle")
                         .text("🔙 Back", "main_menu"),
                 });
             })
             .text("📊 My Trades", (ctx) => this.handleWithErrorCatch(ctx, () => this.handleMyTrades(ctx)))
             .row()
+            .text("📡 Signal Log", (ctx) => this.handleWithErrorCatch(ctx, () => this.handleSignals(ctx)))
             .text("💰 Portfolio", (ctx) => this.handleWithErrorCatch(ctx, () => this.handlePortfolio(ctx)))
             .text("❓ Help", (ctx) => this.handleHelp(ctx));
 
@@ -155,12 +191,20 @@ class TelegramBot {
 
         // Settings menu
         this.settingsMenu = new Menu("settings")
+            .text("📏 Sizing", (ctx) => this.handleSizing(ctx))
             .text("💰 Max Trade Amount", (ctx) => this.handleMaxAmount(ctx))
+            .text("🔻 Min Trade Amount", (ctx) => this.handleMinAmount(ctx))
+            .row()
             .text("📈 Slippage %", (ctx) => this.handleSlippage(ctx))
+            .text("⚡ Priority Fee", (ctx) => this.handlePriorityFee(ctx))
             .row()
             .text("🎯 Take Profit %", (ctx) => this.handleTakeProfit(ctx))
+            .text("🪜 TP Ladder", (ctx) => this.handleTakeProfitLadder(ctx))
+            .row()
             .text("🛑 Stop Loss %", (ctx) => this.handleStopLoss(ctx))
+            .text("📉 Trailing Stop", (ctx) => this.handleTrailingStop(ctx))
             .row()
+            .text("🏦 Venues", (ctx) => this.handleVenues(ctx))
             .text("🤖 Auto-Sell Toggle", (ctx) => this.toggleAutoSell(ctx))
             .text("🔙 Back", (ctx) => this.showMainMenu(ctx));
 
@@ -251,15 +295,25 @@ class TelegramBot {
             "connect_wallet": () => ctx.conversation.enter("wallet"),
             "settings": () => this.handleSettings(ctx),
             "settings_maxAmount": () => this.handleMaxAmount(ctx),
+            "settings_minAmount": () => this.handleMinAmount(ctx),
+            "settings_sizing": () => this.handleSizing(ctx),
             "settings_slippage": () => this.handleSlippage(ctx),
+            "settings_priorityFee": () => this.handlePriorityFee(ctx),
             "settings_takeprofit": () => this.handleTakeProfit(ctx),
             "settings_stoploss": () => this.handleStopLoss(ctx),
+            "settings_trailingstop": () => this.handleTrailingStop(ctx),
+            "settings_tpladder": () => this.handleTakeProfitLadder(ctx),
             "autoselltoggle": () => this.toggleAutoSell(ctx),
+            "settings_venues": () => this.handleVenues(ctx),
+            "venue_all": () => this.toggleVenue(ctx, null),
             "portfolio": () => this.handlePortfolio(ctx),
             "view_alpha": () => this.showAlphaWallets(ctx),
             "remove_select": () => this.handleRemoveAlpha(ctx),
             "copy_now": () => this.handleCopyNow(ctx),
             "my_trades": () => this.handleMyTrades(ctx),
+            "signals": () => this.handleSignals(ctx),
+            "reclaim_rent": () => this.handleReclaimRent(ctx),
+            "reclaim_rent_confirm": () => this.handleReclaimRentConfirm(ctx),
             "help": () => this.handleHelp(ctx),
             "status_refresh": () => this.handleStatus(ctx),
             "cancel": async () => {
@@ -275,6 +329,32 @@ class TelegramBot {
             if (this.isValidId(walletId)) {
                 await this.removeAlphaWallet(ctx, walletId);
             }
+        } else if (data.startsWith("alpha_cfg_")) {
+            const walletId = data.replace("alpha_cfg_", "");
+            if (this.isValidId(walletId)) {
+                await this.handleAlphaWalletSettings(ctx, walletId);
+            }
+        } else if (data.startsWith("alpha_set_")) {
+            const [, field, walletId] = data.match(/^alpha_set_(\w+)_(\d+)$/) || [];
+            if (this.isValidAlphaSetting(field)) {
+                ctx.session.tempData.alphaSetting = { field, walletId };
+                await ctx.conversation.enter("alphaSetting");
+            }
+        } else if (data.startsWith("alpha_toggle_")) {
+            const [, flag, walletId] = data.match(/^alpha_toggle_(\w+)_(\d+)$/) || [];
+            if (flag === "buyOnly" || flag === "sellFollow") {
+                await this.toggleAlphaFlag(ctx, walletId, flag);
+            }
+        } else if (data.startsWith("alpha_reset_")) {
+            const walletId = data.replace("alpha_reset_", "");
+            if (this.isValidId(walletId)) {
+                await this.resetAlphaWalletSettings(ctx, walletId);
+            }
+        } else if (data.startsWith("venue_toggle_")) {
+            const group = data.replace("venue_toggle_", "");
+            if (VENUE_GROUPS[group]) {
+                await this.toggleVenue(ctx, group);
+            }
         } else if (data.startsWith("setting_")) {
             const settingType = data.replace("setting_", "");
             if (this.isValidSettingType(settingType)) {
@@ -319,7 +399,11 @@ class TelegramBot {
     }
 
     isValidSettingType(type) {
-        return ['maxAmount', 'slippage', 'takeProfit', 'stopLoss'].includes(type);
+        return ['maxAmount', 'minAmount', 'sizing', 'slippage', 'priorityFee', 'takeProfit', 'stopLoss', 'trailingStop', 'tpLadder'].includes(type);
+    }
+
+    isValidAlphaSetting(field) {
+        return ['size', 'takeProfit', 'stopLoss', 'slippage'].includes(field);
     }
 
     sanitizeInput(input) {
@@ -334,12 +418,27 @@ class TelegramBot {
         return errorStr.replace(/private_key|secret|token|key/gi, '[REDACTED]');
     }
 
+    formatTokenAmount(amount) {
+        if (amount >= 1e6) return `${(amount / 1e6).toFixed(2)}M`;
+        if (amount >= 1e3) return `${(amount / 1e3).toFixed(2)}K`;
+        return amount.toFixed(amount >= 1 ? 2 : 6);
+    }
+
     truncateAddress(address, length = this.config.ADDRESS_DISPLAY_LENGTH) {
         if (!address || typeof address !== 'string') return 'N/A';
         if (address.length <= length * 2) return address;
         return `${address.slice(0, length)}...${address.slice(-length)}`;
     }
 
+    formatRpcStatus() {
+        const endpoints = this.solanaService.rpcPool.getStatus();
+        return endpoints.map(e => {
+            const icon = e.healthy ? "✅" : "⚠️";
+            const latency = e.latencyMs == null ? "n/a" : `${e.latencyMs}ms`;
+            return `• ${icon} ${e.host} (${e.roles.join("/")}) — ${latency}, ${e.successes} ok / ${e.failures} failed`;
+        }).join("\n");
+    }
+
     // Enhanced encryption methods
     encryptPrivateKey(privateKey) {
         try {
@@ -559,6 +658,7 @@ class TelegramBot {
         .text("📊 My Trades", "my_trades")
         .text("💰 Portfolio", "portfolio")
         .row()
+        .text("📡 Signal Log", "signals")
         .text("❓ Help", "help");
 
     await ctx.reply(statusText, { parse_mode: "HTML", reply_markup: keyboard });
@@ -795,12 +895,25 @@ class TelegramBot {
 
         const prompts = {
             maxAmount: `💰 Enter maximum trade amount (${this.config.VALIDATION.MIN_AMOUNT}-${this.config.VALIDATION.MAX_AMOUNT} SOL):`,
+            minAmount: `🔻 Enter minimum trade amount (0-${this.config.VALIDATION.MAX_AMOUNT} SOL, 0 to disable). ` +
+                `Every sizing mode is clamped between this and your max trade amount:`,
+            sizing: `${this.sizingPrompt()}\n\nOr "default" for the classic 10% of the alpha's size.`,
             slippage: `📈 Enter slippage tolerance (${this.config.VALIDATION.MIN_SLIPPAGE}-${this.config.VALIDATION.MAX_SLIPPAGE}%):`,
+            priorityFee: `⚡ Enter a fixed priority fee in micro-lamports per compute unit (0-${this.config.VALIDATION.MAX_PRIORITY_FEE}), ` +
+                `or "auto" / "auto 90" to follow recent network fees at that percentile:`,
             takeProfit: `🎯 Enter take profit percentage (${this.config.VALIDATION.MIN_TAKE_PROFIT}-${this.config.VALIDATION.MAX_TAKE_PROFIT}%):`,
             stopLoss: `🛑 Enter stop loss percentage (${this.config.VALIDATION.MIN_STOP_LOSS}-${this.config.VALIDATION.MAX_STOP_LOSS}%):`,
+            trailingStop: `📉 Enter the trailing stop as a % drop from the position's peak ` +
+                `(${this.config.VALIDATION.MIN_TRAILING_STOP}-${this.config.VALIDATION.MAX_TRAILING_STOP}%), ` +
+                `optionally followed by the profit % the peak must reach first (e.g. "15" or "15 50"). "off" disables it:`,
+            tpLadder: `🪜 Enter up to ${this.config.VALIDATION.MAX_TP_RUNGS} take-profit rungs as <code>profit%:sell%</code>, ` +
+                `e.g. <code>100:50 300:25</code> sells half at +100%, a quarter at +300% and keeps the rest as a moonbag. ` +
+                `Sell % is a share of the position before the first rung; the total can't exceed 100%. ` +
+                `While set, the ladder replaces your single Take Profit. "off" disables it:`,
         };
 
-        const prompMsg = await ctx.reply(prompts[settingType] || "⚙️ Enter new value:", {
+        const promptMsg = await ctx.reply(prompts[settingType] || "⚙️ Enter new value:", {
+            parse_mode: "HTML",
             reply_markup: new InlineKeyboard().text("🔙 Back", "settings"),
         });
 
@@ -822,7 +935,29 @@ class TelegramBot {
 
         const backKeyboard = new InlineKeyboard().text("🔙 Back", "settings");
 
-        if (isNaN(value) || value <= 0) {
+        // Priority fee accepts either a fixed value or "auto [percentile]"
+        if (settingType === 'priorityFee') {
+            await this.savePriorityFee(ctx, valueText, backKeyboard);
+            return;
+        }
+
+        if (settingType === 'sizing') {
+            await this.saveSizing(ctx, valueText, backKeyboard);
+            return;
+        }
+
+        if (settingType === 'trailingStop') {
+            await this.saveTrailingStop(ctx, valueText, backKeyboard);
+            return;
+        }
+
+        if (settingType === 'tpLadder') {
+            await this.saveTakeProfitLadder(ctx, valueText, backKeyboard);
+            return;
+        }
+
+        // A minimum of 0 turns the clamp off
+        if (isNaN(value) || value < 0 || (value === 0 && settingType !== 'minAmount')) {
             await ctx.reply("❌ Please enter a valid positive number.", {
                 reply_markup: backKeyboard,
             });
@@ -833,10 +968,18 @@ class TelegramBot {
         let isValid = false;
         let errorMessage = "";
 
+        const currentUser = await database.getUser(ctx.from.id);
+
         switch (settingType) {
             case 'maxAmount':
-                isValid = this.validateAmount(value);
-                errorMessage = `Amount must be between ${this.config.VALIDATION.MIN_AMOUNT} and ${this.config.VALIDATION.MAX_AMOUNT} SOL`;
+                isValid = this.validateAmount(value) && value >= (currentUser?.min_trade_amount || 0);
+                errorMessage = value < (currentUser?.min_trade_amount || 0)
+                    ? `Max trade amount can't be below your minimum of ${currentUser.min_trade_amount} SOL`
+                    : `Amount must be between ${this.config.VALIDATION.MIN_AMOUNT} and ${this.config.VALIDATION.MAX_AMOUNT} SOL`;
+                break;
+            case 'minAmount':
+                isValid = value <= (currentUser?.max_trade_amount || 0.1);
+                errorMessage = `Min trade amount can't exceed your max trade amount of ${currentUser?.max_trade_amount || 0.1} SOL`;
                 break;
             case 'slippage':
                 isValid = this.validatePercentage(value, this.config.VALIDATION.MIN_SLIPPAGE, this.config.VALIDATION.MAX_SLIPPAGE);
@@ -863,6 +1006,7 @@ class TelegramBot {
             const updates = {};
             const fieldMap = {
                 maxAmount: "max_trade_amount",
+                minAmount: "min_trade_amount",
                 slippage: "slippage",
                 takeProfit: "take_profit",
                 stopLoss: "stop_loss",
@@ -876,6 +1020,7 @@ class TelegramBot {
 
             const unitMap = {
                 maxAmount: " SOL",
+                minAmount: " SOL",
                 slippage: "%",
                 takeProfit: "%",
                 stopLoss: "%"
@@ -895,12 +1040,245 @@ class TelegramBot {
         }
     }
 
+    parsePriorityFee(text) {
+        const { MAX_PRIORITY_FEE, MIN_FEE_PERCENTILE, MAX_FEE_PERCENTILE } = this.config.VALIDATION;
+        const auto = text.toLowerCase().match(/^auto(?:\s+(\d+))?$/);
+
+        if (auto) {
+            const percentile = auto[1] ? parseInt(auto[1], 10) : 75;
+            if (percentile < MIN_FEE_PERCENTILE || percentile > MAX_FEE_PERCENTILE) return null;
+            return { priority_fee_mode: 'dynamic', priority_fee_percentile: percentile };
+        }
+
+        if (!/^\d+$/.test(text)) return null;
+        const microLamports = parseInt(text, 10);
+        if (microLamports > MAX_PRIORITY_FEE) return null;
+        return { priority_fee_mode: 'fixed', priority_fee_micro_lamports: microLamports };
+    }
+
+    // Sizing text: "0.05" (SOL), "0.5x" (alpha's size), "5%" (of balance) or "ratio [factor]".
+    // Returns the size_mode/size_value columns, or null if invalid.
+    parseSizing(text) {
+        const { MAX_SIZE_MULTIPLIER } = this.config.VALIDATION;
+        const value = text.toLowerCase().trim();
+
+        const multiplier = value.match(/^(\d+(?:\.\d+)?)\s*x$/);
+        if (multiplier) {
+            const factor = parseFloat(multiplier[1]);
+            return factor > 0 && factor <= MAX_SIZE_MULTIPLIER ? { size_mode: SIZE_MODES.MULTIPLIER, size_value: factor } : null;
+        }
+
+        const percent = value.match(/^(\d+(?:\.\d+)?)\s*%$/);
+        if (percent) {
+            const pct = parseFloat(percent[1]);
+            return pct > 0 && pct <= 100 ? { size_mode: SIZE_MODES.BALANCE_PERCENT, size_value: pct } : null;
+        }
+
+        const ratio = value.match(/^ratio(?:\s+(\d+(?:\.\d+)?)x?)?$/);
+        if (ratio) {
+            const factor = ratio[1] ? parseFloat(ratio[1]) : 1;
+            return factor > 0 && factor <= MAX_SIZE_MULTIPLIER ? { size_mode: SIZE_MODES.ALPHA_RATIO, size_value: factor } : null;
+        }
+
+        if (!/^\d+(?:\.\d+)?$/.test(value)) return null;
+        const amount = parseFloat(value);
+        return this.validateAmount(amount) ? { size_mode: SIZE_MODES.FIXED, size_value: amount } : null;
+    }
+
+    formatSizing(mode, value) {
+        switch (mode) {
+            case SIZE_MODES.FIXED: return `${value} SOL per trade`;
+            case SIZE_MODES.MULTIPLIER: return `${value}x alpha's size`;
+            case SIZE_MODES.BALANCE_PERCENT: return `${value}% of wallet balance`;
+            case SIZE_MODES.ALPHA_RATIO: return `Alpha's balance share${value && value !== 1 ? ` x${value}` : ""}`;
+            default: return "Classic (10% of alpha's size)";
+        }
+    }
+
+    sizingPrompt() {
+        return `📏 Enter a sizing mode:\n` +
+            `• <code>0.05</code> - fixed SOL per trade\n` +
+            `• <code>0.5x</code> - multiple of the alpha's size (up to ${this.config.VALIDATION.MAX_SIZE_MULTIPLIER}x)\n` +
+            `• <code>5%</code> - percentage of your wallet balance\n` +
+            `• <code>ratio</code> - spend the same share of your balance as the alpha did (<code>ratio 0.5</code> to scale it)`;
+    }
+
+    async saveSizing(ctx, valueText, backKeyboard) {
+        const updates = valueText.toLowerCase() === "default"
+            ? { size_mode: SIZE_MODES.DEFAULT, size_value: null }
+            : this.parseSizing(valueText);
+        if (!updates) {
+            await ctx.reply(`❌ Invalid sizing.\n\n${this.sizingPrompt()}`, { parse_mode: "HTML", reply_markup: backKeyboard });
+            return;
+        }
+
+        try {
+            await database.updateUser(ctx.from.id, updates);
+            delete ctx.session.tempData.settingType;
+
+            await ctx.reply(
+                `✅ <b>${this.formatSettingName('sizing')} updated successfully!</b>\n\n` +
+                `New value: ${this.formatSizing(updates.size_mode, updates.size_value)}`,
+                {
+                    parse_mode: "HTML",
+                    reply_markup: new InlineKeyboard().text("⚙️ Settings", "settings"),
+                }
+            );
+        } catch (error) {
+            console.error('Error updating sizing:', this.sanitizeError(error));
+            await ctx.reply("❌ Error updating setting. Please try again.");
+        }
+    }
+
+    // "<trail %> [activation profit %]" or "off"
+    parseTrailingStop(text) {
+        const { MIN_TRAILING_STOP, MAX_TRAILING_STOP, MAX_TAKE_PROFIT } = this.config.VALIDATION;
+        const value = text.toLowerCase().trim();
+        if (value === "off" || value === "0") return { trailing_stop: 0, trailing_activation: 0 };
+
+        const match = value.match(/^(\d+(?:\.\d+)?)%?(?:\s+(\d+(?:\.\d+)?)%?)?$/);
+        if (!match) return null;
+        const trail = parseFloat(match[1]);
+        const activation = match[2] ? parseFloat(match[2]) : 0;
+        if (!this.validatePercentage(trail, MIN_TRAILING_STOP, MAX_TRAILING_STOP) || activation > MAX_TAKE_PROFIT) return null;
+        return { trailing_stop: trail, trailing_activation: activation };
+    }
+
+    formatTrailingStop(user) {
+        if (!user.trailing_stop) return "Off";
+        return `${user.trailing_stop}% from peak${user.trailing_activation ? ` (after +${user.trailing_activation}%)` : ""}`;
+    }
+
+    async saveTrailingStop(ctx, valueText, backKeyboard) {
+        const updates = this.parseTrailingStop(valueText);
+        if (!updates) {
+            await ctx.reply(
+                `❌ Enter a trail between ${this.config.VALIDATION.MIN_TRAILING_STOP}% and ${this.config.VALIDATION.MAX_TRAILING_STOP}%, ` +
+                `optionally followed by an activation profit %, or "off".`,
+                { reply_markup: backKeyboard }
+            );
+            return;
+        }
+
+        try {
+            await database.updateUser(ctx.from.id, updates);
+            delete ctx.session.tempData.settingType;
+
+            await ctx.reply(
+                `✅ <b>${this.formatSettingName('trailingStop')} updated successfully!</b>\n\n` +
+                `New value: ${this.formatTrailingStop(updates)}` +
+                (updates.trailing_stop ? "\n\n💡 Trailing stops are checked by auto-sell, so make sure it is enabled." : ""),
+                {
+                    parse_mode: "HTML",
+                    reply_markup: new InlineKeyboard().text("⚙️ Settings", "settings"),
+                }
+            );
+        } catch (error) {
+            console.error('Error updating trailing stop:', this.sanitizeError(error));
+            await ctx.reply("❌ Error updating setting. Please try again.");
+        }
+    }
+
+    // Rungs as typed by the user, held to the same profit range as the single take profit
+    parseLadderInput(text) {
+        const { MIN_TAKE_PROFIT, MAX_TAKE_PROFIT, MAX_TP_RUNGS } = this.config.VALIDATION;
+        const value = text.toLowerCase().trim();
+        if (value === "off" || value === "0") return [];
+
+        const rungs = parseTakeProfitLadder(value);
+        if (!rungs || rungs.length === 0 || rungs.length > MAX_TP_RUNGS) return null;
+        if (rungs.some(r => !this.validatePercentage(r.profit, MIN_TAKE_PROFIT, MAX_TAKE_PROFIT))) return null;
+        return rungs;
+    }
+
+    formatTakeProfitLadder(value) {
+        const rungs = parseTakeProfitLadder(value) || [];
+        if (rungs.length === 0) return "Off";
+
+        const held = 100 - rungs.reduce((sum, r) => sum + r.sell, 0);
+        return rungs.map(r => `+${r.profit}% → sell ${r.sell}%`).join(", ") + (held > 0 ? ` (${held}% held)` : "");
+    }
+
+    async saveTakeProfitLadder(ctx, valueText, backKeyboard) {
+        const rungs = this.parseLadderInput(valueText);
+        if (!rungs) {
+            await ctx.reply(
+                `❌ Enter 1-${this.config.VALIDATION.MAX_TP_RUNGS} rungs like "100:50 300:25" with profits between ` +
+                `${this.config.VALIDATION.MIN_TAKE_PROFIT}% and ${this.config.VALIDATION.MAX_TAKE_PROFIT}%, ` +
+                `selling at most 100% in total, or "off".`,
+                { reply_markup: backKeyboard }
+            );
+            return;
+        }
+
+        try {
+            const tpLadder = rungs.length ? rungs.map(r => `${r.profit}:${r.sell}`).join(",") : null;
+            await database.updateUser(ctx.from.id, { tp_ladder: tpLadder });
+            delete ctx.session.tempData.settingType;
+
+            await ctx.reply(
+                `✅ <b>${this.formatSettingName('tpLadder')} updated successfully!</b>\n\n` +
+                `New value: ${this.formatTakeProfitLadder(tpLadder)}` +
+                (tpLadder ? "\n\n💡 Rungs are sold by auto-sell, so make sure it is enabled. Alphas with their own Take Profit still use it." : ""),
+                {
+                    parse_mode: "HTML",
+                    reply_markup: new InlineKeyboard().text("⚙️ Settings", "settings"),
+                }
+            );
+        } catch (error) {
+            console.error('Error updating take profit ladder:', this.sanitizeError(error));
+            await ctx.reply("❌ Error updating setting. Please try again.");
+        }
+    }
+
+    formatPriorityFee(user) {
+        if (user.priority_fee_mode === 'fixed') {
+            return `${user.priority_fee_micro_lamports || 0} µLamports/CU`;
+        }
+        return `Auto (p${user.priority_fee_percentile || 75})`;
+    }
+
+    async savePriorityFee(ctx, valueText, backKeyboard) {
+        const updates = this.parsePriorityFee(valueText);
+        if (!updates) {
+            await ctx.reply(
+                `❌ Enter a whole number between 0 and ${this.config.VALIDATION.MAX_PRIORITY_FEE}, ` +
+                `or "auto" optionally followed by a percentile (${this.config.VALIDATION.MIN_FEE_PERCENTILE}-${this.config.VALIDATION.MAX_FEE_PERCENTILE}).`,
+                { reply_markup: backKeyboard }
+            );
+            return;
+        }
+
+        try {
+            await database.updateUser(ctx.from.id, updates);
+            delete ctx.session.tempData.settingType;
+
+            const user = await database.getUser(ctx.from.id);
+            await ctx.reply(
+                `✅ <b>${this.formatSettingName('priorityFee')} updated successfully!</b>\n\n` +
+                `New value: ${this.formatPriorityFee(user)}`,
+                {
+                    parse_mode: "HTML",
+                    reply_markup: new InlineKeyboard().text("⚙️ Settings", "settings"),
+                }
+            );
+        } catch (error) {
+            console.error('Error updating priority fee:', this.sanitizeError(error));
+            await ctx.reply("❌ Error updating setting. Please try again.");
+        }
+    }
+
     formatSettingName(settingType) {
         const nameMap = {
             maxAmount: "Max Trade Amount",
+            minAmount: "Min Trade Amount",
+            sizing: "Sizing",
             slippage: "Slippage",
+            priorityFee: "Priority Fee",
             takeProfit: "Take Profit",
-            stopLoss: "Stop Loss"
+            stopLoss: "Stop Loss",
+            trailingStop: "Trailing Stop",
+            tpLadder: "Take Profit Ladder"
         };
         return nameMap[settingType] || settingType;
     }
@@ -952,11 +1330,17 @@ class TelegramBot {
         const message = `
 ⚙️ <b>Trading Settings</b>
 
+📏 <b>Sizing:</b> ${this.formatSizing(user.size_mode, user.size_value)}
 💰 <b>Max Trade Amount:</b> ${user.max_trade_amount || 0.1} SOL
+🔻 <b>Min Trade Amount:</b> ${user.min_trade_amount ? `${user.min_trade_amount} SOL` : "None"}
 📈 <b>Slippage:</b> ${user.slippage || 5}%
-🎯 <b>Take Profit:</b> ${user.take_profit || 100}%
+⚡ <b>Priority Fee:</b> ${this.formatPriorityFee(user)}
+🎯 <b>Take Profit:</b> ${user.take_profit || 100}%${user.tp_ladder ? " (replaced by ladder)" : ""}
+🪜 <b>TP Ladder:</b> ${this.formatTakeProfitLadder(user.tp_ladder)}
 🛑 <b>Stop Loss:</b> ${user.stop_loss || 20}%
+📉 <b>Trailing Stop:</b> ${this.formatTrailingStop(user)}
 🤖 <b>Auto-Sell:</b> ${user.auto_sell_enabled ? "✅ Enabled" : "❌ Disabled"}
+🏦 <b>Venues:</b> ${this.formatVenueFilter(user)}
 
 📝 Select setting to modify:
         `;
@@ -967,6 +1351,47 @@ class TelegramBot {
         });
     }
 
+    async handleSignals(ctx) {
+        const user = await this.ensureUserSession(ctx);
+        await this.deleteMessage(ctx);
+
+        try {
+            const decisions = await database.getUserSignalDecisions(user.id, this.config.MAX_RECENT_TRADES);
+
+            let message = "📡 <b>Recent Alpha Signals</b>\n\n";
+
+            if (decisions.length === 0) {
+                message += "📭 No signals received yet.\n\n" +
+                    "💡 Signals appear here as soon as one of your alpha wallets swaps.";
+            } else {
+                decisions.forEach((d, index) => {
+                    const time = new Date(d.created_at + 'Z').toLocaleString();
+                    const token = d.side === 'sell' ? d.token_in : d.token_out;
+                    const alpha = d.alpha_nickname || this.truncateAddress(d.alpha_wallet);
+                    const status = d.decision === 'copied'
+                        ? "✅ Copied"
+                        : `${d.decision === 'failed' ? "❌ Failed" : "⏭️ Skipped"}: ${SIGNAL_REASON_LABELS[d.reason] || d.reason}`;
+
+                    message +=
+                        `${index + 1}. <b>${(d.side || '?').toUpperCase()}</b> <code>${this.truncateAddress(token || '')}</code> by ${alpha}` +
+                        `${d.venue && d.venue !== 'unknown' ? ` on ${d.venue}` : ''}\n` +
+                        `   ${status}\n` +
+                        `   📅 ${time}\n\n`;
+                });
+            }
+
+            await ctx.reply(message, {
+                parse_mode: "HTML",
+                reply_markup: new InlineKeyboard()
+                    .text("🔄 Refresh", "signals")
+                    .text("🔙 Back", "main_menu"),
+            });
+        } catch (error) {
+            console.error('Error fetching signals:', this.sanitizeError(error));
+            await ctx.reply("❌ Error loading signals. Please try again.");
+        }
+    }
+
     async handleMyTrades(ctx) {
         const user = await this.ensureUserSession(ctx);
         await this.deleteMessage(ctx);
@@ -986,7 +1411,7 @@ class TelegramBot {
                     const profitEmoji = trade.profit_loss >= 0 ? "🟢" : "🔴";
 
                     message +=
-                        `${index + 1}. ${profitEmoji} <b>${trade.side.toUpperCase()}</b> ${trade.token_symbol || 'Unknown'}\n` +
+                        `${index + 1}. ${profitEmoji} <b>${trade.side.toUpperCase()}</b> ${escapeHtml(trade.token_symbol || 'Unknown')}\n` +
                         `   💰 ${trade.amount || 0} SOL | 📅 ${date}\n` +
                         `   📈 P&L: ${(trade.profit_loss || 0).toFixed(2)}%\n\n`;
                 });
@@ -1019,22 +1444,12 @@ class TelegramBot {
 
         try {
             // Fetch data with error handling
-            let balance = 0;
-            let tokenAccounts = [];
-            let balanceError = false;
-
-            try {
-                balance = await this.solanaService.getWalletBalance(user.wallet_address);
-            } catch (error) {
-                console.error('Error fetching balance:', this.sanitizeError(error));
-                balanceError = true;
-            }
+            let portfolio = null;
 
             try {
-                tokenAccounts = await this.solanaService.getTokenAccounts(user.wallet_address);
+                portfolio = await this.solanaService.getPortfolio(user.wallet_address);
             } catch (error) {
-                console.error('Error fetching token accounts:', this.sanitizeError(error));
-                tokenAccounts = [];
+                console.error('Error fetching portfolio:', this.sanitizeError(error));
             }
 
             const totalTrades = database.getTotalTrades(user.id);
@@ -1045,9 +1460,27 @@ class TelegramBot {
 💰 <b>Portfolio Overview</b>
 
 👛 <b>Wallet:</b> <code>${this.truncateAddress(user.wallet_address)}</code>
-💎 <b>SOL Balance:</b> ${balanceError ? 'Error loading' : `${balance.toFixed(4)} SOL`}
-🪙 <b>Token Holdings:</b> ${tokenAccounts.length} tokens
+💎 <b>SOL Balance:</b> ${portfolio ? `${portfolio.solBalance.toFixed(4)} SOL` : 'Error loading'}
+`;
+
+            if (portfolio) {
+                const { holdings } = portfolio;
+                message += `🪙 <b>Token Holdings:</b> ${holdings.length} tokens\n`;
+
+                holdings.slice(0, this.config.MAX_PORTFOLIO_HOLDINGS).forEach((h, index) => {
+                    const value = h.valueSol > 0
+                        ? `${h.valueSol.toFixed(4)} SOL ($${h.valueUsd.toFixed(2)})`
+                        : 'no price';
+                    message += `${index + 1}. <b>${escapeHtml(h.symbol)}</b> ${this.formatTokenAmount(h.amount)} — ${value}\n`;
+                });
+                if (holdings.length > this.config.MAX_PORTFOLIO_HOLDINGS) {
+                    message += `…and ${holdings.length - this.config.MAX_PORTFOLIO_HOLDINGS} more\n`;
+                }
 
+                message += `\n💼 <b>Total Value:</b> ${portfolio.totalSol.toFixed(4)} SOL ($${portfolio.totalUsd.toFixed(2)})\n`;
+            }
+
+            message += `
 📊 <b>Trading Stats:</b>
 • Total Trades: ${totalTrades}
 • Win Rate: ${winRate}%
@@ -1058,6 +1491,8 @@ class TelegramBot {
                 parse_mode: "HTML",
                 reply_markup: new InlineKeyboard()
                     .text("🔄 Refresh", "portfolio")
+                    .text("♻️ Reclaim Rent", "reclaim_rent")
+                    .row()
                     .text("🔙 Back", "main_menu"),
             });
         } catch (error) {
@@ -1066,6 +1501,87 @@ class TelegramBot {
         }
     }
 
+    async handleReclaimRent(ctx) {
+        const user = await this.ensureUserSession(ctx, { refresh: true });
+        await this.deleteMessage(ctx);
+
+        if (!user.wallet_address) {
+            await ctx.reply("❌ Connect your wallet first.", {
+                reply_markup: new InlineKeyboard().text("🔙 Back", "main_menu"),
+            });
+            return;
+        }
+
+        try {
+            const empty = await this.solanaService.getEmptyTokenAccounts(user.wallet_address);
+            const keyboard = new InlineKeyboard();
+
+            if (empty.length === 0) {
+                await ctx.reply("✨ No empty token accounts to close.", {
+                    reply_markup: keyboard.text("🔙 Back", "portfolio"),
+                });
+                return;
+            }
+
+            const rentSol = empty.reduce((sum, a) => sum + a.lamports, 0) / LAMPORTS_PER_SOL;
+            await ctx.reply(
+                `♻️ <b>Reclaim Rent</b>\n\n` +
+                `Found <b>${empty.length}</b> empty token account(s) holding ~${rentSol.toFixed(4)} SOL in rent.\n\n` +
+                `Closing them returns that SOL to your wallet. Close now?`,
+                {
+                    parse_mode: "HTML",
+                    reply_markup: keyboard
+                        .text("✅ Close Accounts", "reclaim_rent_confirm")
+                        .text("🔙 Back", "portfolio"),
+                }
+            );
+        } catch (error) {
+            console.error('Error listing empty token accounts:', this.sanitizeError(error));
+            await ctx.reply("❌ Error checking token accounts. Please try again.");
+        }
+    }
+
+    async handleReclaimRentConfirm(ctx) {
+        const user = await this.ensureUserSession(ctx, { refresh: true });
+        await this.deleteMessage(ctx);
+
+        try {
+            // Re-read so nothing that received tokens in the meantime gets closed
+            const empty = await this.solanaService.getEmptyTokenAccounts(user.wallet_address);
+            if (empty.length === 0) {
+                await ctx.reply("✨ No empty token accounts to close.", {
+                    reply_markup: new InlineKeyboard().text("🔙 Back", "portfolio"),
+                });
+                return;
+            }
+
+            await ctx.reply(`⏳ Closing ${empty.length} account(s)...`);
+            const result = await this.solanaService.closeTokenAccounts({
+                decryptedKey: this.decryptPrivateKey(user.private_key),
+                accounts: empty,
+                priorityFee: {
+                    mode: user.priority_fee_mode || 'dynamic',
+                    microLamports: user.priority_fee_micro_lamports || 0,
+                    percentile: user.priority_fee_percentile || 75,
+                },
+            });
+
+            const failed = empty.length - result.closed;
+            await ctx.reply(
+                `✅ <b>Closed ${result.closed} account(s)</b>\n` +
+                `💎 Reclaimed ~${result.reclaimedSol.toFixed(4)} SOL` +
+                (failed > 0 ? `\n⚠️ ${failed} account(s) could not be closed` : ''),
+                {
+                    parse_mode: "HTML",
+                    reply_markup: new InlineKeyboard().text("💰 Portfolio", "portfolio"),
+                }
+            );
+        } catch (error) {
+            console.error('Error reclaiming rent:', this.sanitizeError(error));
+            await ctx.reply("❌ Error closing token accounts. Please try again.");
+        }
+    }
+
     async handleCopyNow(ctx) {
         await this.deleteMessage(ctx);
 
@@ -1189,6 +1705,9 @@ class TelegramBot {
 • Bot: ✅ Online
 • Database: ✅ Connected  
 • Last Update: ${new Date().toLocaleString()}
+
+🌐 <b>RPC Endpoints:</b>
+${this.formatRpcStatus()}
             `;
 
             await ctx.reply(statusMessage, {
@@ -1203,6 +1722,59 @@ class TelegramBot {
         }
     }
 
+    formatVenueFilter(user) {
+        const groups = parseVenueFilter(user.venue_filter);
+        return groups ? groups.map(g => VENUE_GROUPS[g]).join(", ") : "All";
+    }
+
+    async handleVenues(ctx) {
+        const user = await this.ensureUserSession(ctx, { refresh: true });
+        await this.deleteMessage(ctx);
+
+        const groups = parseVenueFilter(user.venue_filter);
+        const keyboard = new InlineKeyboard();
+        Object.entries(VENUE_GROUPS).forEach(([group, label], i) => {
+            const enabled = !groups || groups.includes(group);
+            keyboard.text(`${enabled ? "✅" : "⬜"} ${label}`, `venue_toggle_${group}`);
+            if (i % 2 === 1) keyboard.row();
+        });
+        keyboard.row().text("🌐 Allow All", "venue_all").text("⚙️ Settings", "settings");
+
+        await ctx.reply(
+            `🏦 <b>Copy Venues</b>\n\n` +
+            `Buys are only copied when the alpha trades on an enabled venue. ` +
+            `Sells are always followed so open positions can be exited.\n\n` +
+            `Current: ${this.formatVenueFilter(user)}`,
+            { parse_mode: "HTML", reply_markup: keyboard }
+        );
+    }
+
+    // group = null resets to all venues
+    async toggleVenue(ctx, group) {
+        try {
+            const user = await this.ensureUserSession(ctx, { refresh: true });
+            let groups = parseVenueFilter(user.venue_filter) || Object.keys(VENUE_GROUPS);
+
+            if (group) {
+                groups = groups.includes(group) ? groups.filter(g => g !== group) : [...groups, group];
+                if (groups.length === 0) {
+                    await ctx.reply("⚠️ At least one venue must stay enabled.");
+                    return;
+                }
+            }
+
+            const allEnabled = !group || groups.length === Object.keys(VENUE_GROUPS).length;
+            const venueFilter = allEnabled ? null : groups.join(",");
+            await database.updateUser(ctx.from.id, { venue_filter: venueFilter });
+            ctx.session.user.venue_filter = venueFilter;
+
+            await this.handleVenues(ctx);
+        } catch (error) {
+            console.error('Error updating venue filter:', this.sanitizeError(error));
+            await ctx.reply("❌ Error updating setting. Please try again.");
+        }
+    }
+
     async toggleAutoSell(ctx) {
         try {
             await this.deleteMessage(ctx);
@@ -1260,20 +1832,30 @@ class TelegramBot {
 
             let message = "📋 <b>Your Alpha Wallets</b>\n\n";
 
+            const keyboard = new InlineKeyboard();
+
             alphaWallets.forEach((wallet, index) => {
+                const overrides = this.formatAlphaOverrides(wallet);
                 message +=
                     `${index + 1}. <b>${wallet.nickname}</b>\n` +
                     `   💼 <code>${this.truncateAddress(wallet.wallet_address)}</code>\n` +
+                    (overrides ? `   ⚙️ ${overrides}\n` : "") +
                     `   📅 Added: ${new Date(wallet.created_at).toLocaleDateString()}\n\n`;
+
+                keyboard.text(`⚙️ ${index + 1}. ${wallet.nickname}`, `alpha_cfg_${wallet.id}`);
+                if (index % 2 === 1) keyboard.row();
             });
 
+            keyboard
+                .row()
+                .text("➕ Add New", "alpha_add")
+                .text("🗑️ Remove", "remove_select")
+                .row()
+                .text("🔙 Back", "alpha_wallets");
+
             await ctx.reply(message, {
                 parse_mode: "HTML",
-                reply_markup: new InlineKeyboard()
-                    .text("➕ Add New", "alpha_add")
-                    .text("🗑️ Remove", "remove_select")
-                    .row()
-                    .text("🔙 Back", "alpha_wallets"),
+                reply_markup: keyboard,
             });
         } catch (error) {
             console.error('Error showing alpha wallets:', this.sanitizeError(error));
@@ -1366,17 +1948,233 @@ class TelegramBot {
         }
     }
 
+    // Per-alpha settings. Unset values fall back to the user's own settings.
+    async getOwnedAlphaWallet(userId, walletId) {
+        const alphaWallets = await database.getAlphaWallets(userId);
+        return alphaWallets.find(w => w.id.toString() === String(walletId)) || null;
+    }
+
+    formatAlphaSize(wallet) {
+        return wallet.size_mode ? this.formatSizing(wallet.size_mode, wallet.size_value) : "Your default sizing";
+    }
+
+    // One-line summary of the values this alpha overrides, empty when it uses the defaults
+    formatAlphaOverrides(wallet) {
+        const parts = [];
+        if (wallet.size_mode) parts.push(this.formatAlphaSize(wallet));
+        if (wallet.buy_only) parts.push("buy-only");
+        if (wallet.sell_follow) parts.push("follows all sells");
+        if (wallet.take_profit != null) parts.push(`TP ${wallet.take_profit}%`);
+        if (wallet.stop_loss != null) parts.push(`SL ${wallet.stop_loss}%`);
+        if (wallet.slippage != null) parts.push(`slippage ${wallet.slippage}%`);
+        return parts.join(", ");
+    }
+
+    async handleAlphaWalletSettings(ctx, walletId) {
+        await this.deleteMessage(ctx);
+        const user = await this.ensureUserSession(ctx, { refresh: true });
+
+        try {
+            const wallet = await this.getOwnedAlphaWallet(user.id, walletId);
+            if (!wallet) {
+                await ctx.reply("❌ Wallet not found or access denied.");
+                return;
+            }
+
+            const fallback = (value, userValue) => value != null ? `${value}%` : `${userValue}% (default)`;
+            const keyboard = new InlineKeyboard()
+                .text("💰 Size", `alpha_set_size_${wallet.id}`)
+                .text("🎯 Take Profit", `alpha_set_takeProfit_${wallet.id}`)
+                .row()
+                .text("🛑 Stop Loss", `alpha_set_stopLoss_${wallet.id}`)
+                .text("📈 Slippage", `alpha_set_slippage_${wallet.id}`)
+                .row()
+                .text(`${wallet.buy_only ? "✅" : "⬜"} Buy-only`, `alpha_toggle_buyOnly_${wallet.id}`)
+                .text(`${wallet.sell_follow ? "✅" : "⬜"} Follow all sells`, `alpha_toggle_sellFollow_${wallet.id}`)
+                .row()
+                .text("♻️ Reset", `alpha_reset_${wallet.id}`)
+                .text("🔙 Back", "view_alpha");
+
+            await ctx.reply(
+                `⚙️ <b>${wallet.nickname} Settings</b>\n` +
+                `💼 <code>${wallet.wallet_address}</code>\n\n` +
+                `💰 <b>Size:</b> ${this.formatAlphaSize(wallet)}\n` +
+                `🛒 <b>Buy-only:</b> ${wallet.buy_only ? "✅ Sells are not copied" : "❌"}\n` +
+                `🔁 <b>Follow all sells:</b> ${wallet.sell_follow ? "✅ Any position you hold" : "❌ Only positions bought from this alpha"}\n` +
+                `🎯 <b>Take Profit:</b> ${wallet.take_profit == null && user.tp_ladder
+                    ? `${this.formatTakeProfitLadder(user.tp_ladder)} (default ladder)`
+                    : fallback(wallet.take_profit, user.take_profit)}\n` +
+                `🛑 <b>Stop Loss:</b> ${fallback(wallet.stop_loss, user.stop_loss)}\n` +
+                `📈 <b>Slippage:</b> ${fallback(wallet.slippage, user.slippage)}\n\n` +
+                `<i>TP/SL apply to positions opened from this alpha. Max trade amount still caps every buy.</i>`,
+                { parse_mode: "HTML", reply_markup: keyboard }
+            );
+        } catch (error) {
+            console.error('Error showing alpha wallet settings:', this.sanitizeError(error));
+            await ctx.reply("❌ Error loading wallet settings. Please try again.");
+        }
+    }
+
+    // "default" clears the override; otherwise returns the alpha_wallets columns to set, or null if invalid
+    parseAlphaSetting(field, text) {
+        const { VALIDATION } = this.config;
+        const value = text.toLowerCase().trim();
+
+        if (value === "default") {
+            return field === "size" ? { size_mode: null, size_value: null } : { [this.alphaSettingColumn(field)]: null };
+        }
+
+        if (field === "size") return this.parseSizing(value);
+
+        const number = parseFloat(value);
+        if (!/^\d+(?:\.\d+)?$/.test(value)) return null;
+        const ranges = {
+            takeProfit: [VALIDATION.MIN_TAKE_PROFIT, VALIDATION.MAX_TAKE_PROFIT],
+            stopLoss: [VALIDATION.MIN_STOP_LOSS, VALIDATION.MAX_STOP_LOSS],
+            slippage: [VALIDATION.MIN_SLIPPAGE, VALIDATION.MAX_SLIPPAGE],
+        };
+        const [min, max] = ranges[field];
+        return this.validatePercentage(number, min, max) ? { [this.alphaSettingColumn(field)]: number } : null;
+    }
+
+    alphaSettingColumn(field) {
+        return { takeProfit: "take_profit", stopLoss: "stop_loss", slippage: "slippage" }[field];
+    }
+
+    async alphaSettingConversation(conversation, ctx) {
+        await this.deleteMessage(ctx);
+        const { field, walletId } = ctx.session.tempData.alphaSetting || {};
+        const { VALIDATION } = this.config;
+
+        if (!this.isValidAlphaSetting(field)) {
+            await ctx.reply("❌ Invalid setting type.");
+            return;
+        }
+
+        const prompts = {
+            size: `${this.sizingPrompt()}\n\nOr "default" to use your own sizing.`,
+            takeProfit: `🎯 Enter take profit percentage (${VALIDATION.MIN_TAKE_PROFIT}-${VALIDATION.MAX_TAKE_PROFIT}%) or "default":`,
+            stopLoss: `🛑 Enter stop loss percentage (${VALIDATION.MIN_STOP_LOSS}-${VALIDATION.MAX_STOP_LOSS}%) or "default":`,
+            slippage: `📈 Enter slippage tolerance (${VALIDATION.MIN_SLIPPAGE}-${VALIDATION.MAX_SLIPPAGE}%) or "default":`,
+        };
+        const backData = `alpha_cfg_${walletId}`;
+
+        const promptMsg = await ctx.reply(prompts[field], {
+            parse_mode: "HTML",
+            reply_markup: new InlineKeyboard().text("🔙 Back", backData),
+        });
+
+        const response = await conversation.waitFor(["message:text", "callback_query:data"]);
+        await this.deleteMessage(ctx, promptMsg.message_id);
+
+        if (response.callbackQuery?.data === backData) {
+            await this.handleAlphaWalletSettings(response, walletId);
+            return;
+        }
+        if (response.message?.message_id) {
+            await this.deleteMessage(ctx, response.message.message_id);
+        }
+
+        const backKeyboard = new InlineKeyboard().text("🔙 Back", backData);
+        const updates = this.parseAlphaSetting(field, this.sanitizeInput(response.message?.text || ''));
+        if (!updates) {
+            await ctx.reply(`❌ Invalid value.\n\n${prompts[field]}`, { parse_mode: "HTML", reply_markup: backKeyboard });
+            return;
+        }
+
+        try {
+            const user = await database.getUser(ctx.from.id);
+            const wallet = user && await this.getOwnedAlphaWallet(user.id, walletId);
+            if (!wallet) {
+                await ctx.reply("❌ Wallet not found or access denied.");
+                return;
+            }
+
+            await database.updateAlphaWallet(wallet.id, updates);
+            delete ctx.session.tempData.alphaSetting;
+
+            await ctx.reply(
+                `✅ <b>${wallet.nickname}: ${field === "size" ? "Size" : this.formatSettingName(field)} updated!</b>`,
+                {
+                    parse_mode: "HTML",
+                    reply_markup: new InlineKeyboard().text("⚙️ Wallet Settings", backData),
+                }
+            );
+        } catch (error) {
+            console.error('Error updating alpha wallet setting:', this.sanitizeError(error));
+            await ctx.reply("❌ Error updating setting. Please try again.");
+        }
+    }
+
+    async toggleAlphaFlag(ctx, walletId, flag) {
+        try {
+            const user = await this.ensureUserSession(ctx);
+            const wallet = await this.getOwnedAlphaWallet(user.id, walletId);
+            if (!wallet) {
+                await ctx.reply("❌ Wallet not found or access denied.");
+                return;
+            }
+
+            const column = flag === "buyOnly" ? "buy_only" : "sell_follow";
+            await database.updateAlphaWallet(wallet.id, { [column]: wallet[column] ? 0 : 1 });
+            await this.handleAlphaWalletSettings(ctx, walletId);
+        } catch (error) {
+            console.error('Error toggling alpha wallet flag:', this.sanitizeError(error));
+            await ctx.reply("❌ Error updating setting. Please try again.");
+        }
+    }
+
+    async resetAlphaWalletSettings(ctx, walletId) {
+        try {
+            const user = await this.ensureUserSession(ctx);
+            const wallet = await this.getOwnedAlphaWallet(user.id, walletId);
+            if (!wallet) {
+                await ctx.reply("❌ Wallet not found or access denied.");
+                return;
+            }
+
+            await database.updateAlphaWallet(wallet.id, {
+                size_mode: null,
+                size_value: null,
+                buy_only: 0,
+                sell_follow: 0,
+                take_profit: null,
+                stop_loss: null,
+                slippage: null,
+            });
+            await this.handleAlphaWalletSettings(ctx, walletId);
+        } catch (error) {
+            console.error('Error resetting alpha wallet settings:', this.sanitizeError(error));
+            await ctx.reply("❌ Error updating setting. Please try again.");
+        }
+    }
+
     // Setting handler methods
     async handleMaxAmount(ctx) {
         ctx.session.tempData.settingType = "maxAmount";
         await ctx.conversation.enter("settings");
     }
 
+    async handleMinAmount(ctx) {
+        ctx.session.tempData.settingType = "minAmount";
+        await ctx.conversation.enter("settings");
+    }
+
+    async handleSizing(ctx) {
+        ctx.session.tempData.settingType = "sizing";
+        await ctx.conversation.enter("settings");
+    }
+
     async handleSlippage(ctx) {
         ctx.session.tempData.settingType = "slippage";
         await ctx.conversation.enter("settings");
     }
 
+    async handlePriorityFee(ctx) {
+        ctx.session.tempData.settingType = "priorityFee";
+        await ctx.conversation.enter("settings");
+    }
+
     async handleTakeProfit(ctx) {
         ctx.session.tempData.settingType = "takeProfit";
         await ctx.conversation.enter("settings");
@@ -1387,6 +2185,16 @@ class TelegramBot {
         await ctx.conversation.enter("settings");
     }
 
+    async handleTrailingStop(ctx) {
+        ctx.session.tempData.settingType = "trailingStop";
+        await ctx.conversation.enter("settings");
+    }
+
+    async handleTakeProfitLadder(ctx) {
+        ctx.session.tempData.settingType = "tpLadder";
+        await ctx.conversation.enter("settings");
+    }
+
     // Utility methods
     async getAlphaWalletCount(userId) {
         try {
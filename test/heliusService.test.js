@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+// Swap extraction never touches the database; keep the tests from opening data/bot.db
+require.cache[require.resolve('../database')] = { id: 'database', filename: 'database', loaded: true, exports: {} };
+const HeliusService = require('../heliusService');
+
+const helius = new HeliusService();
+helius.logWithTimestamp = () => {};
+
+const fixture = (name) => require(path.join(__dirname, 'fixtures', name));
+
+function assertClose(actual, expected, label) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: expected ${expected}, got ${actual}`);
+}
+
+function assertSwap(tx, wallet, expected) {
+    const { solLeg, perspective } = helius.extractSwapDetails(tx, wallet);
+
+    for (const key of ['amount', 'fee', 'tips', 'rent']) {
+        assertClose(solLeg[key], expected.solLeg[key], `solLeg.${key}`);
+    }
+    assert.strictEqual(perspective.tokenIn, expected.tokenIn);
+    assert.strictEqual(perspective.tokenOut, expected.tokenOut);
+    assertClose(perspective.amountIn, expected.amountIn, 'amountIn');
+    assertClose(perspective.amountOut, expected.amountOut, 'amountOut');
+    assert.strictEqual(perspective.side, expected.side);
+    assert.strictEqual(perspective.venue, expected.venue);
+}
+
+// Samples from log.json: Axiom-routed pump.fun buys paying fee, tips and pump.fun fees out of the same transfers
+test('pump.fun buy from log.json: SOL leg excludes the network fee and tips', () => {
+    const tx = fixture('pumpfun-buy-4d4nsKRR.json');
+    assertSwap(tx, tx.feePayer, {
+        solLeg: { amount: -0.198, fee: 0.001005, tips: 0.003, rent: 0 },
+        tokenIn: 'SOL',
+        tokenOut: 'J6VvggkFcQh6KedkgdmAC6Dfwv1Rjv5p3g1PCc7ppump',
+        amountIn: 0.198,
+        amountOut: 1805558.79712,
+        side: 'buy',
+        venue: 'pumpfun',
+    });
+});
+
+test('pump.fun buy from log.json with a larger tip', () => {
+    const tx = fixture('pumpfun-buy-c4aQ4VRd.json');
+    assertSwap(tx, tx.feePayer, {
+        solLeg: { amount: -0.198, fee: 0.000205, tips: 0.0038, rent: 0 },
+        tokenIn: 'SOL',
+        tokenOut: 'CgvNpRbYfdvd8xNN5ysxYr1fRPiL5yTH52A53ygpump',
+        amountIn: 0.198,
+        amountOut: 3336682.311348,
+        side: 'buy',
+        venue: 'pumpfun',
+    });
+});
+
+// log.json holds no Jupiter or account-closing swaps, so these two are hand-built in the same Helius shape
+test('Jupiter buy: temporary WSOL account nets out and the new token ATA counts as rent', () => {
+    const tx = fixture('jupiter-wsol-wrap-ata-create.json');
+    assertSwap(tx, tx.feePayer, {
+        solLeg: { amount: -1, fee: 0.000085, tips: 0.001, rent: 0.00203928 },
+        tokenIn: 'SOL',
+        tokenOut: 'Mint1111111111111111111111111111111111111111',
+        amountIn: 1,
+        amountOut: 2500000,
+        side: 'buy',
+        venue: 'jupiter',
+    });
+});
+
+test('Jupiter sell: proceeds left as WSOL count as SOL and the closed ATA refund is rent', () => {
+    const tx = fixture('jupiter-wsol-ata-close.json');
+    assertSwap(tx, tx.feePayer, {
+        solLeg: { amount: 0.5, fee: 0.000085, tips: 0.001, rent: -0.00203928 },
+        tokenIn: 'Mint1111111111111111111111111111111111111111',
+        tokenOut: 'SOL',
+        amountIn: 2500000,
+        amountOut: 0.5,
+        side: 'sell',
+        venue: 'jupiter',
+    });
+});
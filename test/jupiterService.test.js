@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const JupiterService = require('../jupiterService');
+
+const SOL = 'So11111111111111111111111111111111111111112';
+const MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+// Local stand-in for the Jupiter swap API; records every request it receives
+async function startStub(handlers) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://stub');
+            const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body: body ? JSON.parse(body) : null };
+            requests.push(request);
+
+            const [status, payload] = handlers[url.pathname]?.(request) || [404, { error: 'not found' }];
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/swap/v1` };
+}
+
+const quote = { inputMint: SOL, outputMint: MINT, inAmount: '1000000', outAmount: '5000', routePlan: [] };
+
+test('getQuote sends ExactIn params and restricts the route to the given dexes', async (t) => {
+    const stub = await startStub({ '/swap/v1/quote': () => [200, quote] });
+    t.after(() => stub.server.close());
+    const jupiter = new JupiterService({ baseUrl: stub.baseUrl });
+
+    const result = await jupiter.getQuote({ inputMint: SOL, outputMint: MINT, amount: 1000000n, slippageBps: 300, dexes: ['Raydium', 'Whirlpool'] });
+
+    assert.deepStrictEqual(result, quote);
+    assert.deepStrictEqual(stub.requests[0].query, {
+        inputMint: SOL,
+        outputMint: MINT,
+        amount: '1000000',
+        slippageBps: '300',
+        swapMode: 'ExactIn',
+        dexes: 'Raydium,Whirlpool'
+    });
+});
+
+test('getQuote leaves the route open without dexes', async (t) => {
+    const stub = await startStub({ '/swap/v1/quote': () => [200, quote] });
+    t.after(() => stub.server.close());
+    const jupiter = new JupiterService({ baseUrl: stub.baseUrl });
+
+    await jupiter.getQuote({ inputMint: SOL, outputMint: MINT, amount: 1000000, dexes: [] });
+    assert.ok(!('dexes' in stub.requests[0].query));
+});
+
+test('getQuote surfaces API errors and empty routes', async (t) => {
+    const stub = await startStub({
+        '/swap/v1/quote': (req) => req.query.outputMint === MINT
+            ? [400, { error: 'Could not find any route' }]
+            : [200, {}]
+    });
+    t.after(() => stub.server.close());
+    const jupiter = new JupiterService({ baseUrl: stub.baseUrl });
+
+    await assert.rejects(jupiter.getQuote({ inputMint: SOL, outputMint: MINT, amount: 1 }), /Jupiter quote failed: Could not find any route/);
+    await assert.rejects(jupiter.getQuote({ inputMint: MINT, outputMint: SOL, amount: 1 }), /Jupiter returned no route/);
+});
+
+test('getSwapTransaction posts the quote with the priority fee', async (t) => {
+    const stub = await startStub({ '/swap/v1/swap': () => [200, { swapTransaction: 'AQID', lastValidBlockHeight: 123 }] });
+    t.after(() => stub.server.close());
+    const jupiter = new JupiterService({ baseUrl: stub.baseUrl });
+
+    const result = await jupiter.getSwapTransaction({ quoteResponse: quote, userPublicKey: 'user', computeUnitPriceMicroLamports: 5000 });
+
+    assert.strictEqual(result.swapTransaction, 'AQID');
+    assert.strictEqual(stub.requests[0].method, 'POST');
+    assert.deepStrictEqual(stub.requests[0].body, {
+        quoteResponse: quote,
+        userPublicKey: 'user',
+        wrapAndUnwrapSol: true,
+        dynamicComputeUnitLimit: true,
+        computeUnitPriceMicroLamports: 5000
+    });
+});
+
+test('getSwapTransaction fails when no transaction comes back', async (t) => {
+    const stub = await startStub({ '/swap/v1/swap': () => [200, {}] });
+    t.after(() => stub.server.close());
+    const jupiter = new JupiterService({ baseUrl: stub.baseUrl });
+
+    await assert.rejects(jupiter.getSwapTransaction({ quoteResponse: quote, userPublicKey: 'user' }), /no swap transaction/);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const bs58 = require('bs58');
+const { Keypair } = require('@solana/web3.js');
+const { PUMP_PROGRAM_ID, PUMP_AMM_PROGRAM_ID, decodePumpTrades } = require('../pumpDecoder');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const EVENT_IX_TAG = 'e445a52e51cb9a1d';
+
+const user = Keypair.generate().publicKey;
+const mint = Keypair.generate().publicKey;
+const pool = Keypair.generate().publicKey;
+const other = () => Keypair.generate().publicKey.toBase58();
+
+const u64 = (value) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64LE(BigInt(value));
+  return buf;
+};
+
+// Anchor instruction: discriminator, then two u64 arguments
+const instruction = (programId, disc, first, second, accounts) => ({
+  programId,
+  accounts,
+  data: bs58.encode(Buffer.concat([Buffer.from(disc, 'hex'), u64(first), u64(second)])),
+});
+
+// emit_cpi! self-invocation carrying an event
+const eventIx = (programId, disc, body) => ({
+  programId,
+  accounts: [],
+  data: bs58.encode(Buffer.concat([Buffer.from(EVENT_IX_TAG + disc, 'hex'), body])),
+});
+
+const pumpAccounts = () => [other(), other(), mint.toBase58(), other(), other(), other(), user.toBase58()];
+const ammAccounts = () => [pool.toBase58(), user.toBase58(), other(), mint.toBase58(), WSOL_MINT];
+
+// pump.fun TradeEvent on a current curve, fee and creator fee included
+function tradeEvent({ solAmount, tokenAmount, isBuy, fee, creatorFee }) {
+  return Buffer.concat([
+    mint.toBuffer(), u64(solAmount), u64(tokenAmount), Buffer.from([isBuy ? 1 : 0]), user.toBuffer(),
+    u64(1760000000), u64(0), u64(0), u64(0), u64(0),
+    Keypair.generate().publicKey.toBuffer(), u64(95), u64(fee),
+    Keypair.generate().publicKey.toBuffer(), u64(5), u64(creatorFee),
+  ]);
+}
+
+// PumpSwap BuyEvent / SellEvent: timestamp, base amount, limit, 4 x reserves, quote amount,
+// 5 x fee fields, user quote amount, pool, user
+function ammEvent({ tokenAmount, quoteAmount }) {
+  return Buffer.concat([
+    u64(1760000000), u64(tokenAmount), u64(0), u64(0), u64(0), u64(0), u64(0),
+    u64(0), u64(0), u64(0), u64(0), u64(0), u64(0),
+    u64(quoteAmount), pool.toBuffer(), user.toBuffer(),
+  ]);
+}
+
+const tx = (...inner) => ({ signature: 'test', instructions: [{ programId: other(), accounts: [], data: '', innerInstructions: inner }] });
+
+test('pump.fun buy from log.json: TradeEvent amounts with fees added back', () => {
+  const fixture = require(path.join(__dirname, 'fixtures', 'pumpfun-buy-4d4nsKRR.json'));
+  const [trade, ...rest] = decodePumpTrades(fixture);
+
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(trade.venue, 'pumpfun');
+  assert.strictEqual(trade.side, 'buy');
+  assert.strictEqual(trade.user, fixture.feePayer);
+  assert.strictEqual(trade.mint, 'J6VvggkFcQh6KedkgdmAC6Dfwv1Rjv5p3g1PCc7ppump');
+  assert.strictEqual(trade.solAmount, 0.198);
+  assert.strictEqual(trade.tokenAmount, 1805558.79712);
+  assert.strictEqual(trade.exact, true);
+});
+
+test('pump.fun sell: TradeEvent SOL net of fee and creator fee', () => {
+  const [trade] = decodePumpTrades(tx(
+    instruction(PUMP_PROGRAM_ID, '33e685a4017f83ad', 2_000_000_000, 900_000_000, pumpAccounts()),
+    eventIx(PUMP_PROGRAM_ID, 'bddb7fd34ee661ee', tradeEvent({
+      solAmount: 1_000_000_000, tokenAmount: 2_000_000_000, isBuy: false, fee: 9_500_000, creatorFee: 500_000,
+    })),
+  ));
+
+  assert.strictEqual(trade.side, 'sell');
+  assert.strictEqual(trade.mint, mint.toBase58());
+  assert.strictEqual(trade.user, user.toBase58());
+  assert.strictEqual(trade.solAmount, 0.99);
+  assert.strictEqual(trade.tokenAmount, 2000);
+  assert.strictEqual(trade.exact, true);
+});
+
+test('PumpSwap buy and sell: amounts from BuyEvent / SellEvent, pool and mints from the instruction', () => {
+  const [buy, sell] = decodePumpTrades(tx(
+    instruction(PUMP_AMM_PROGRAM_ID, '66063d1201daebea', 5_000_000, 600_000_000, ammAccounts()),
+    eventIx(PUMP_AMM_PROGRAM_ID, '67f4521f2cf57777', ammEvent({ tokenAmount: 5_000_000, quoteAmount: 512_000_000 })),
+    instruction(PUMP_AMM_PROGRAM_ID, '33e685a4017f83ad', 5_000_000, 400_000_000, ammAccounts()),
+    eventIx(PUMP_AMM_PROGRAM_ID, '3e2f370aa503dc2a', ammEvent({ tokenAmount: 5_000_000, quoteAmount: 488_000_000 })),
+  ));
+
+  for (const trade of [buy, sell]) {
+    assert.strictEqual(trade.venue, 'pumpswap');
+    assert.strictEqual(trade.pool, pool.toBase58());
+    assert.strictEqual(trade.mint, mint.toBase58());
+    assert.strictEqual(trade.quoteMint, WSOL_MINT);
+    assert.strictEqual(trade.tokenAmount, 5);
+    assert.strictEqual(trade.exact, true);
+  }
+  assert.strictEqual(buy.side, 'buy');
+  assert.strictEqual(buy.solAmount, 0.512);
+  assert.strictEqual(sell.side, 'sell');
+  assert.strictEqual(sell.solAmount, 0.488);
+});
+
+test('falls back to the signed limits when only the instruction is present', () => {
+  const [pumpBuy, ammSell] = decodePumpTrades(tx(
+    instruction(PUMP_PROGRAM_ID, '66063d1201daebea', 3_000_000_000, 150_000_000, pumpAccounts()),
+    instruction(PUMP_AMM_PROGRAM_ID, '33e685a4017f83ad', 7_000_000, 300_000_000, ammAccounts()),
+  ));
+
+  assert.strictEqual(pumpBuy.venue, 'pumpfun');
+  assert.strictEqual(pumpBuy.side, 'buy');
+  assert.strictEqual(pumpBuy.solAmount, 0.15);
+  assert.strictEqual(pumpBuy.tokenAmount, 3000);
+  assert.strictEqual(pumpBuy.exact, false);
+
+  assert.strictEqual(ammSell.venue, 'pumpswap');
+  assert.strictEqual(ammSell.side, 'sell');
+  assert.strictEqual(ammSell.solAmount, 0.3);
+  assert.strictEqual(ammSell.tokenAmount, 7);
+  assert.strictEqual(ammSell.exact, false);
+});
+
+test('truncated or malformed payloads decode to nothing instead of throwing', () => {
+  const fullEvent = eventIx(PUMP_PROGRAM_ID, 'bddb7fd34ee661ee', tradeEvent({
+    solAmount: 1, tokenAmount: 1, isBuy: true, fee: 0, creatorFee: 0,
+  }));
+  const truncatedEvent = { ...fullEvent, data: bs58.encode(bs58.decode(fullEvent.data).subarray(0, 40)) };
+  const shortBuy = { programId: PUMP_PROGRAM_ID, accounts: pumpAccounts(), data: bs58.encode(Buffer.from('66063d1201daebea01020304', 'hex')) };
+  // create with a string length pointing past the end of the data
+  const truncatedCreate = { programId: PUMP_PROGRAM_ID, accounts: [], data: bs58.encode(Buffer.from('181ec828051c0777ff', 'hex')) };
+  const notBase58 = { programId: PUMP_AMM_PROGRAM_ID, accounts: ammAccounts(), data: '0OIl' };
+
+  for (const ix of [truncatedEvent, shortBuy, truncatedCreate, notBase58]) {
+    assert.deepStrictEqual(decodePumpTrades(tx(ix)), []);
+  }
+  assert.deepStrictEqual(decodePumpTrades({}), []);
+});
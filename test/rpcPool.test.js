@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const RpcPool = require('../rpcPool');
+
+// Minimal JSON-RPC server: respond(method) returns [httpStatus, result | { error }]
+async function startRpc(respond) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      calls.push(request.method);
+      const [status, payload] = respond(request.method);
+      if (status !== 200) {
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end('upstream unavailable');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload?.error
+        ? { jsonrpc: '2.0', id: request.id, error: payload.error }
+        : { jsonrpc: '2.0', id: request.id, result: payload }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, calls, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function withServers(t, ...responders) {
+  const servers = await Promise.all(responders.map(startRpc));
+  t.after(() => servers.forEach(s => s.server.close()));
+  return servers;
+}
+
+test('fails over to the next endpoint on an HTTP 503 and cools the failed one down', async (t) => {
+  const [down, up] = await withServers(t, () => [503], () => [200, 42]);
+  const pool = new RpcPool({ readUrls: [down.url, up.url], timeoutMs: 2000 });
+  pool.log = () => {};
+
+  assert.strictEqual(await pool.createConnection().getSlot(), 42);
+  assert.deepStrictEqual(down.calls, ['getSlot']);
+
+  const [downStatus, upStatus] = pool.getStatus();
+  assert.strictEqual(downStatus.healthy, false);
+  assert.strictEqual(downStatus.failures, 1);
+  assert.match(downStatus.lastError, /503 Service Unavailable/);
+  assert.strictEqual(upStatus.healthy, true);
+  assert.strictEqual(upStatus.successes, 1);
+
+  // The cooling endpoint now ranks last and isn't tried first
+  assert.strictEqual(pool.rank('read')[0].url, up.url);
+  assert.strictEqual(await pool.createConnection().getSlot(), 42);
+  assert.strictEqual(down.calls.length, 1);
+});
+
+test('returns JSON-RPC errors as-is even when their text mentions network or 503', async (t) => {
+  const rpcError = { error: { code: -32002, message: 'Transaction simulation failed: network fee 503 too low' } };
+  const [first, second] = await withServers(t, () => [200, rpcError], () => [200, 42]);
+  const pool = new RpcPool({ readUrls: [first.url, second.url], timeoutMs: 2000 });
+  pool.log = () => {};
+
+  await assert.rejects(pool.createConnection().getSlot(), /simulation failed/);
+  assert.deepStrictEqual(second.calls, []);
+
+  const [firstStatus] = pool.getStatus();
+  assert.strictEqual(firstStatus.healthy, true);
+  assert.strictEqual(firstStatus.failures, 0);
+});
+
+test('throws the last transport error when every endpoint is down', async (t) => {
+  const [a, b] = await withServers(t, () => [502], () => [504]);
+  const pool = new RpcPool({ readUrls: [a.url, b.url], timeoutMs: 2000 });
+  pool.log = () => {};
+
+  await assert.rejects(pool.createConnection().getSlot(), /504/);
+  assert.ok(pool.getStatus().every(s => !s.healthy));
+});
+
+test('ranks healthy endpoints by measured latency', async (t) => {
+  const [slow, fast] = await withServers(t, () => [200, 1], () => [200, 2]);
+  const pool = new RpcPool({ readUrls: [slow.url, fast.url] });
+  const [slowEndpoint, fastEndpoint] = pool.readEndpoints;
+
+  pool._recordSuccess(slowEndpoint, 300);
+  pool._recordSuccess(fastEndpoint, 40);
+  assert.deepStrictEqual(pool.rank('read').map(e => e.url), [fast.url, slow.url]);
+
+  // Smoothed, so one slow reply doesn't flip the order
+  pool._recordSuccess(fastEndpoint, 400);
+  assert.strictEqual(Math.round(fastEndpoint.latencyMs), 148);
+  assert.deepStrictEqual(pool.rank('read').map(e => e.url), [fast.url, slow.url]);
+});
+
+test('sends transactions through the send endpoints', async (t) => {
+  const [read, send] = await withServers(t, () => [200, 'read-sig'], () => [200, 'send-sig']);
+  const pool = new RpcPool({ readUrls: [read.url], sendUrls: [send.url] });
+
+  const signature = await pool.createConnection().sendRawTransaction(Buffer.alloc(10), { skipPreflight: true });
+  assert.strictEqual(signature, 'send-sig');
+  assert.deepStrictEqual(read.calls, []);
+  assert.deepStrictEqual(send.calls, ['sendTransaction']);
+});
+
+test('hands out the best endpoint connection and reports its health', async (t) => {
+  const [down, up] = await withServers(t, () => [503], () => [200, 42]);
+  const pool = new RpcPool({ readUrls: [down.url, up.url], wsUrl: 'ws://127.0.0.1:1', timeoutMs: 2000 });
+  pool.log = () => {};
+  const [first, second] = pool.readEndpoints;
+
+  assert.strictEqual(pool.getConnection(), first.connection);
+  assert.strictEqual(first.connection._rpcWebSocket.address, 'ws://127.0.0.1:1');
+
+  await pool.createConnection().getSlot();
+  assert.strictEqual(pool.isHealthy(first.connection), false);
+  assert.strictEqual(pool.isHealthy(second.connection), true);
+  assert.strictEqual(pool.getConnection(), second.connection);
+});
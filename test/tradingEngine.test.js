@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Position monitoring is driven through stubs; keep the tests from opening data/bot.db
+require.cache[require.resolve('../database')] = { id: 'database', filename: 'database', loaded: true, exports: {} };
+const TradingEngine = require('../tradingEngine');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// An engine without the constructor's timers, RPC pool and symbol backfill
+function monitorOnly() {
+    const engine = Object.create(TradingEngine.prototype);
+    engine.logWithTimestamp = () => {};
+    engine.monitoringPositions = false;
+    engine.positionMonitorInterval = null;
+    engine.priceLimiter = { schedule: (fn) => fn() };
+    return engine;
+}
+
+test('a take-profit rung still selling at the next tick is not sold again', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+
+    const engine = monitorOnly();
+    const user = { id: 1, telegram_id: 9, auto_sell_enabled: 1, trailing_stop: 0 };
+    // The open-positions cache keeps handing out the pre-sell snapshot until the sell is recorded
+    const stored = { tokenAddress: 'Mint', tokenSymbol: 'TKN', totalAmount: 100, averagePrice: 1, isOpen: true, takeProfitHits: [] };
+
+    let passes = 0;
+    engine.getUsersWithAutoSell = async () => { passes++; return [user]; };
+    engine.getUserOpenPositions = async () => [{ ...stored, takeProfitHits: [...stored.takeProfitHits] }];
+    engine.getCachedTokenPrice = async () => 2;
+    engine.getCopySettings = () => ({ takeProfit: 100, stopLoss: 20, slippage: 1, takeProfitLadder: [{ profit: 50, sell: 50 }] });
+
+    const sells = [];
+    let confirm;
+    engine.executeAutoSell = (u, position, reason, price, slippage, ladder) => {
+        sells.push(ladder.rungs);
+        return new Promise(resolve => {
+            confirm = () => {
+                stored.takeProfitHits.push(...ladder.rungs);
+                resolve();
+            };
+        });
+    };
+
+    engine.startPositionMonitoring();
+    try {
+        t.mock.timers.tick(30000);
+        await flush();
+        assert.deepStrictEqual(sells, [[50]]);
+
+        // The sell is still waiting on confirmation when the next tick fires
+        t.mock.timers.tick(30000);
+        await flush();
+        assert.strictEqual(passes, 1);
+        assert.deepStrictEqual(sells, [[50]]);
+
+        confirm();
+        await flush();
+        t.mock.timers.tick(30000);
+        await flush();
+        assert.strictEqual(passes, 2);
+        assert.deepStrictEqual(sells, [[50]]);
+    } finally {
+        clearInterval(engine.positionMonitorInterval);
+    }
+});
+
+test('monitoring resumes after a pass that threw', async () => {
+    const engine = monitorOnly();
+    let passes = 0;
+    engine.getUsersWithAutoSell = async () => {
+        passes++;
+        throw new Error('database locked');
+    };
+
+    await engine.monitorPositions();
+    await engine.monitorPositions();
+    assert.strictEqual(passes, 2);
+    assert.strictEqual(engine.monitoringPositions, false);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+// Swap extraction never touches the database; keep the tests from opening data/bot.db
+require.cache[require.resolve('../database')] = { id: 'database', filename: 'database', loaded: true, exports: {} };
+const HeliusService = require('../heliusService');
+const { normalizeParsedTransaction } = require('../transactionNormalizer');
+
+const helius = new HeliusService();
+helius.logWithTimestamp = () => {};
+
+// Hand-built: a Token-2022 sell for WSOL that unwraps and closes an empty Token-2022 account
+const fixture = require(path.join(__dirname, 'fixtures', 'rpc-token2022-sell-close-accounts.json'));
+const wallet = 'A1phaWa11etXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX';
+const mint = 'Token2022MintXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX';
+
+function assertClose(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: expected ${expected}, got ${actual}`);
+}
+
+test('keeps the token leg of a Token-2022 transferChecked', () => {
+  const transaction = normalizeParsedTransaction(fixture);
+
+  assert.strictEqual(transaction.type, 'SWAP');
+  const leg = transaction.tokenTransfers.find(t => t.mint === mint);
+  assert.ok(leg, 'Token-2022 transfer missing');
+  assert.strictEqual(leg.fromUserAccount, wallet);
+  assert.strictEqual(leg.fromTokenAccount, 'A1phaToken2022AccountXXXXXXXXXXXXXXXXXXXXXX');
+  assert.strictEqual(leg.toUserAccount, 'Poo1AuthorityXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX');
+  assert.strictEqual(leg.tokenAmount, 1000);
+});
+
+test('rebuilds accounts and data of parsed closeAccount instructions for both token programs', () => {
+  const [, closeWsol, closeToken2022] = normalizeParsedTransaction(fixture).instructions;
+
+  assert.deepStrictEqual(closeWsol.accounts, ['A1phaWsolAccountXXXXXXXXXXXXXXXXXXXXXXXXXXX', wallet, wallet]);
+  assert.deepStrictEqual(closeToken2022.accounts, ['A1phaEmptyToken2022AccountXXXXXXXXXXXXXXXXX', wallet, wallet]);
+  // base58 of the single closeAccount discriminator byte, 9
+  assert.strictEqual(closeWsol.data, 'A');
+  assert.strictEqual(closeToken2022.data, 'A');
+});
+
+test('websocket-sourced sell: closed accounts count as the wallet\'s rent, not SOL received', () => {
+  const { solLeg, perspective } = helius.extractSwapDetails(normalizeParsedTransaction(fixture), wallet);
+
+  assertClose(solLeg.amount, 0.5, 'solLeg.amount');
+  assertClose(solLeg.fee, 0.000005, 'solLeg.fee');
+  assertClose(solLeg.tips, 0, 'solLeg.tips');
+  assertClose(solLeg.rent, -0.00407856, 'solLeg.rent');
+  assert.strictEqual(perspective.side, 'sell');
+  assert.strictEqual(perspective.tokenIn, mint);
+  assert.strictEqual(perspective.tokenOut, 'SOL');
+  assertClose(perspective.amountIn, 1000, 'amountIn');
+  assertClose(perspective.amountOut, 0.5, 'amountOut');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TransactionSender = require('../transactionSender');
+const { TX_UNCONFIRMED, TX_FAILED } = TransactionSender;
+
+const tx = { serialize: () => Buffer.alloc(10), signatures: [Buffer.alloc(64, 1)] };
+
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function fakeConnection(statuses) {
+  let calls = 0;
+  return {
+    sends: 0,
+    async sendRawTransaction() { this.sends++; },
+    async getBlockHeight() { return 100; },
+    async getSignatureStatuses() {
+      const next = statuses[Math.min(calls++, statuses.length - 1)];
+      if (next instanceof Error) throw next;
+      return { value: [next] };
+    },
+  };
+}
+
+const options = { pollInterval: 1, rebroadcastInterval: 1, maxWaitMs: 200 };
+
+test('keeps polling through RPC and network errors that carry a code', async () => {
+  const connection = fakeConnection([
+    rpcError(-32005, 'Node is behind'),
+    rpcError('ECONNRESET', 'socket hang up'),
+    { confirmationStatus: 'confirmed', err: null },
+  ]);
+  const sender = new TransactionSender(connection, options);
+  sender.log = () => {};
+
+  const result = await sender.send(tx, { lastValidBlockHeight: 200 });
+  assert.ok(result.signature);
+});
+
+test('reports TX_UNCONFIRMED with the signature when status never becomes readable', async () => {
+  const connection = fakeConnection([rpcError('ECONNRESET', 'socket hang up')]);
+  const sender = new TransactionSender(connection, options);
+  sender.log = () => {};
+
+  await assert.rejects(sender.send(tx, { lastValidBlockHeight: 200 }), (err) => {
+    assert.strictEqual(err.code, TX_UNCONFIRMED);
+    assert.ok(err.signature);
+    return true;
+  });
+});
+
+test('still stops on an on-chain failure', async () => {
+  const connection = fakeConnection([{ confirmationStatus: 'confirmed', err: { InstructionError: [0, 'Custom'] } }]);
+  const sender = new TransactionSender(connection, options);
+  sender.log = () => {};
+
+  await assert.rejects(sender.send(tx, { lastValidBlockHeight: 200 }), { code: TX_FAILED });
+});
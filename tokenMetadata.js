@@ -0,0 +1,62 @@
+// tokenMetadata.js
+const { PublicKey } = require('@solana/web3.js');
+
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// Metaplex pads these fields with NULs up to their max length
+const clean = (str) => str.replace(/\0/g, '').trim();
+
+function deriveMetadataPda(mintPubkey) {
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), METADATA_PROGRAM_ID.toBuffer(), mintPubkey.toBuffer()],
+    METADATA_PROGRAM_ID
+  );
+  return pda;
+}
+
+// Layout: key (1), update authority (32), mint (32), then borsh strings name, symbol, uri (u32 length + bytes)
+function decodeMetaplexMetadata(data) {
+  if (!data || data.length < 1 + 32 + 32 + 4) {
+    throw new Error('Invalid metadata account data');
+  }
+
+  let offset = 1;
+  const updateAuthority = new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+  offset += 32;
+  const mint = new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+  offset += 32;
+
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    offset += 4;
+    const value = data.subarray(offset, offset + length).toString('utf8');
+    offset += length;
+    return clean(value);
+  };
+
+  const name = readString();
+  const symbol = readString();
+  const uri = readString();
+
+  return { updateAuthority, mint, name, symbol, uri };
+}
+
+// Token-2022 mints can carry name/symbol/uri in the tokenMetadata extension of the mint itself
+function getToken2022Metadata(parsedMintInfo) {
+  const extensions = parsedMintInfo?.extensions || [];
+  const ext = extensions.find(e => e.extension === 'tokenMetadata');
+  if (!ext?.state) return null;
+
+  return {
+    name: clean(ext.state.name || ''),
+    symbol: clean(ext.state.symbol || ''),
+    uri: clean(ext.state.uri || ''),
+  };
+}
+
+module.exports = {
+  METADATA_PROGRAM_ID,
+  deriveMetadataPda,
+  decodeMetaplexMetadata,
+  getToken2022Metadata,
+};
@@ -2,8 +2,85 @@
 const SolanaService = require('./solanaService');
 const database = require('./database');
 const Bottleneck = require('bottleneck');
-const { PublicKey } = require('@solana/web3.js');
 const crypto = require('crypto');
+const { TX_UNCONFIRMED } = require('./transactionSender');
+const { parseFill } = require('./fillParser');
+const { isVenueAllowed } = require('./venueClassifier');
+
+// Machine-readable reasons stored in signal_decisions when a follower doesn't copy a signal
+const SKIP_REASONS = {
+    NOT_FOLLOWING_SELL: 'not_following_sell',
+    INVALID_TOKENS: 'invalid_tokens',
+    BLACKLISTED: 'blacklisted',
+    INSUFFICIENT_BALANCE: 'insufficient_balance',
+    NO_POSITION: 'no_position',
+    SCALED_TOO_SMALL: 'scaled_too_small',
+    AMOUNT_OUT_OF_LIMITS: 'amount_out_of_limits',
+    VENUE_FILTERED: 'venue_filtered',
+    BUY_ONLY: 'buy_only',
+    EXECUTION_FAILED: 'execution_failed',
+    UNCONFIRMED: 'unconfirmed',
+    ERROR: 'error'
+};
+
+const AUTO_SELL_LABELS = {
+    take_profit: '🟢 Take Profit',
+    tp_ladder: '🪜 Take Profit Ladder',
+    trailing_stop: '🟠 Trailing Stop',
+    stop_loss: '🔴 Stop Loss'
+};
+
+// An unconfirmed auto-sell not found this long after it was given up on never landed
+const PENDING_EXIT_GRACE_MS = 60 * 1000;
+
+// An alpha left with less than this share of what it held has fully exited
+const FULL_EXIT_REMAINDER = 0.001;
+
+// How a follower's buy is sized. Every mode is clamped to [min_trade_amount, max_trade_amount].
+const SIZE_MODES = {
+    DEFAULT: 'default',                // 10% of the alpha's SOL, at most half of max_trade_amount
+    FIXED: 'fixed',                    // size_value SOL per trade
+    MULTIPLIER: 'multiplier',          // alpha's SOL x size_value
+    BALANCE_PERCENT: 'balance_pct',    // size_value % of the follower's SOL balance
+    ALPHA_RATIO: 'alpha_ratio'         // same share of balance the alpha spent, x size_value
+};
+
+// users.tp_ladder -> [{ profit, sell }] by ascending profit %, sell % being a share of the position
+// as it stood before the first rung. "100:50,300:25" sells half at +100%, a quarter at +300% and
+// holds the rest. Empty for no ladder, null when malformed.
+function parseTakeProfitLadder(value) {
+    if (!value || !value.trim()) return [];
+
+    const rungs = [];
+    for (const part of value.split(/[\s,]+/).filter(Boolean)) {
+        const match = part.match(/^\+?(\d+(?:\.\d+)?)%?:(\d+(?:\.\d+)?)%?$/);
+        if (!match) return null;
+        const profit = parseFloat(match[1]);
+        const sell = parseFloat(match[2]);
+        if (!(profit > 0) || !(sell > 0) || sell > 100 || rungs.some(r => r.profit === profit)) return null;
+        rungs.push({ profit, sell });
+    }
+
+    if (rungs.reduce((sum, r) => sum + r.sell, 0) > 100) return null;
+    return rungs.sort((a, b) => a.profit - b.profit);
+}
+
+// Token names and symbols come from on-chain metadata anyone can set; Telegram rejects HTML
+// messages with stray markup, so they're escaped before going into one
+function escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Sell notification lines for the position the sell left behind: what is still held, and the
+// SOL realized since it was opened
+function formatPositionAfterSell(position) {
+    if (!position) return '';
+    const pnl = position.realizedPnl || 0;
+    const realized = `${pnl >= 0 ? '🟢 +' : '🔴 '}${pnl.toFixed(4)} SOL`;
+    if (!position.isOpen) return `🧮 <b>Realized P&L:</b> ${realized}\n`;
+    return `📦 <b>Remaining:</b> ${position.totalAmount.toFixed(6)} (cost basis ${(position.totalAmount * position.averagePrice).toFixed(4)} SOL)\n` +
+        `🧮 <b>Realized so far:</b> ${realized}\n`;
+}
 
 class TradingEngine {
     constructor(bot) {
@@ -48,10 +125,15 @@ class TradingEngine {
         });
 
         this.positionMonitorInterval = null;
+        this.monitoringPositions = false;
         this.cacheCleanupInterval = null;
         this.startPositionMonitoring();
         this.startCacheCleanup();
 
+        // Mints whose trades/positions already got their real symbol written back
+        this.backfilledMints = new Set();
+        this.backfillTokenSymbols();
+
         // Trade statistics
         this.stats = {
             tradesProcessed: 0,
@@ -116,6 +198,7 @@ class TradingEngine {
                     alphaWallet,
                     signature: swapDetails.signature,
                     side: swapDetails?.perspective?.side,
+                    kind: swapDetails?.perspective?.kind,
                     tokenIn: swapDetails?.perspective?.tokenIn,
                     tokenOut: swapDetails?.perspective?.tokenOut,
                     amountIn: swapDetails?.perspective?.amountIn,
@@ -124,6 +207,7 @@ class TradingEngine {
                 })
             );
 
+            const signalId = database.recordSignal(swapDetails, alphaWallet);
             const users = await this.getUsersTrackingWallet(alphaWallet);
 
             if (users.length === 0) {
@@ -131,12 +215,25 @@ class TradingEngine {
                 return;
             }
 
+            // Sells (including the sell leg of a rotation) mirror the share of its bag the alpha sold
+            const p = swapDetails.perspective || {};
+            if (p.side === 'sell' || p.side === 'rotation') {
+                swapDetails.alphaSellFraction = await this.getAlphaSellFraction(swapDetails, alphaWallet, p.tokenIn, p.amountIn);
+            }
+
             this.logWithTimestamp(`Found ${users.length} users tracking ${alphaWallet}`);
 
             for (const user of users) {
-                await this.tradeLimiter.schedule(() =>
+                // Claimed before executing so a concurrent redelivery can't copy it twice
+                if (swapDetails.signature && !database.claimSignal(swapDetails.signature, alphaWallet, user.id)) {
+                    this.logWithTimestamp(`Signal ${swapDetails.signature} already processed for user ${user.telegram_id}, skipping`);
+                    continue;
+                }
+
+                const outcome = await this.tradeLimiter.schedule(() =>
                     this.executeCopyTrade(user, swapDetails, alphaWallet)
                 );
+                if (signalId) database.recordSignalDecision(signalId, user.id, outcome);
             }
         } catch (error) {
             this.logWithTimestamp('❌ Error processing swap signal:', error);
@@ -144,6 +241,16 @@ class TradingEngine {
         }
     }
 
+    // True while at least one follower of the wallet hasn't handled this signature yet
+    async hasUnprocessedFollowers(signature, alphaWallet) {
+        if (!signature) return true;
+        const processed = new Set(database.getProcessedSignalUserIds(signature, alphaWallet));
+        if (processed.size === 0) return true;
+
+        const users = await this.getUsersTrackingWallet(alphaWallet);
+        return users.some(user => !processed.has(user.id));
+    }
+
     async getUsersTrackingWallet(alphaWallet) {
         try {
             // Cache key for users tracking specific wallet
@@ -169,6 +276,23 @@ class TradingEngine {
         }
     }
 
+    // Effective copy settings for one followed alpha: the overrides on its alpha_wallets row, else the user's own
+    getCopySettings(user, alphaWallet) {
+        const alpha = (alphaWallet && database.getUserAlphaWallet(user.id, alphaWallet)) || {};
+
+        return {
+            sizeMode: alpha.size_mode || user.size_mode || SIZE_MODES.DEFAULT,
+            sizeValue: (alpha.size_mode ? alpha.size_value : user.size_value) || 0,
+            buyOnly: alpha.buy_only === 1,
+            sellFollow: alpha.sell_follow === 1,
+            takeProfit: alpha.take_profit ?? user.take_profit,
+            // A per-alpha take profit replaces the user's ladder with a single full exit
+            takeProfitLadder: alpha.take_profit != null ? [] : (parseTakeProfitLadder(user.tp_ladder) || []),
+            stopLoss: alpha.stop_loss ?? user.stop_loss,
+            slippage: alpha.slippage ?? user.slippage
+        };
+    }
+
     decryptPrivateKey(encryptedKey) {
         try {
             if (!encryptedKey || typeof encryptedKey !== 'string') {
@@ -213,33 +337,112 @@ class TradingEngine {
         return errorStr.replace(/private_key|secret|token|key/gi, '[REDACTED]');
     }
 
+    skipTrade(reason, detail = null) {
+        this.logWithTimestamp(`Skip (${reason})${detail ? `: ${detail}` : ''}`);
+        return { decision: 'skipped', reason, detail };
+    }
+
     // === MAIN COPY-TRADE EXECUTION ===
+    // Resolves to { decision: 'copied' | 'skipped' | 'failed', reason, detail, tradeId }
     async executeCopyTrade(user, swapDetails, alphaWallet) {
+        const actions = await this.getCopyActions(swapDetails.perspective || {});
+        if (actions.length === 0) {
+            return this.skipTrade(SKIP_REASONS.INVALID_TOKENS, `Unsupported swap (${swapDetails.perspective?.kind || 'unknown'})`);
+        }
+        if (actions.length === 1) {
+            return this.executeCopyAction(user, swapDetails, actions[0], alphaWallet);
+        }
+
+        // Rotations: exit the old token before entering the new one
+        const outcomes = [];
+        for (const action of actions) {
+            outcomes.push({ side: action.side, ...await this.executeCopyAction(user, swapDetails, action, alphaWallet) });
+        }
+        return this.combineOutcomes(outcomes);
+    }
+
+    // Followers always trade against SOL, so swaps the alpha funded or settled in another token
+    // become SOL buys/sells valued at that token's SOL price
+    async getCopyActions(p) {
+        const { kind, tokenIn, tokenOut, amountIn, amountOut } = p;
+
+        switch (kind) {
+            case 'buy':
+            case 'sell':
+                return [p];
+            case 'stable_buy': {
+                const solValue = amountIn * await this.getCachedTokenPrice(tokenIn);
+                return [{ ...p, side: 'buy', tokenIn: 'SOL', amountIn: solValue, fundedWith: tokenIn }];
+            }
+            case 'stable_sell': {
+                const solValue = amountOut * await this.getCachedTokenPrice(tokenOut);
+                return [{ ...p, side: 'sell', tokenOut: 'SOL', amountOut: solValue, settledIn: tokenOut }];
+            }
+            case 'rotation': {
+                const solValue = amountIn * await this.getCachedTokenPrice(tokenIn);
+                return [
+                    { ...p, side: 'sell', tokenOut: 'SOL', amountOut: solValue, rotatedInto: tokenOut },
+                    { ...p, side: 'buy', tokenIn: 'SOL', amountIn: solValue, fundedWith: tokenIn },
+                ];
+            }
+            default:
+                return [];
+        }
+    }
+
+    // One signal decision for several actions: copied if any leg was copied
+    combineOutcomes(outcomes) {
+        const detail = outcomes
+            .map(o => `${o.side}: ${o.decision}${o.reason ? ` (${o.reason})` : ''}`)
+            .join(', ');
+        const copied = outcomes.filter(o => o.decision === 'copied');
+        if (copied.length) {
+            return { decision: 'copied', reason: null, detail, tradeId: copied[copied.length - 1].tradeId };
+        }
+
+        const failed = outcomes.find(o => o.decision === 'failed');
+        const primary = failed || outcomes[0];
+        return { decision: primary.decision, reason: primary.reason, detail, tradeId: primary.tradeId || null };
+    }
+
+    async executeCopyAction(user, swapDetails, action, alphaWallet) {
+        let tradeId = null;
         try {
-            const p = swapDetails.perspective || {};
-            const { side, tokenIn, tokenOut, amountIn, amountOut, /*poolPDA*/} = p;
+            const p = action;
+            const { side, tokenIn, tokenOut, amountIn, amountOut, venue /*poolPDA*/} = p;
+            const settings = this.getCopySettings(user, alphaWallet);
 
             this.logWithTimestamp('Executing copy trade for user', user.telegram_id, {
                 side, tokenIn: tokenIn?.slice(0, 8), tokenOut: tokenOut?.slice(0, 8), 
                 amountIn, amountOut
             });
 
-            // Enhanced sell validation
-            if (side === 'sell' && user.auto_sell_enabled) {
+            if (side === 'sell' && settings.buyOnly) {
+                return this.skipTrade(SKIP_REASONS.BUY_ONLY, 'Alpha set to buy-only');
+            }
+
+            // Enhanced sell validation; sell-follow alphas are followed out of any position the user holds
+            if (side === 'sell' && user.auto_sell_enabled && !settings.sellFollow) {
                 const shouldFollowSell = await this.checkAlphaWalletSell(user, tokenIn, alphaWallet);
                 if (!shouldFollowSell) {
-                    this.logWithTimestamp('Skip: user has no position to sell or not following alpha sell');
-                    return;
+                    return this.skipTrade(SKIP_REASONS.NOT_FOLLOWING_SELL, 'No position bought from this alpha');
                 }
             }
 
+            // Only entries are filtered: a position must stay exitable wherever the alpha sells it
+            if (side === 'buy' && !isVenueAllowed(user.venue_filter, venue)) {
+                return this.skipTrade(SKIP_REASONS.VENUE_FILTERED, `Venue ${venue || 'unknown'} not enabled`);
+            }
+
             // Pre-validate before expensive operations
-            if (!await this.preValidateTrade(user, { side, tokenIn, tokenOut, amountIn, amountOut })) {
-                return;
+            const preCheck = await this.preValidateTrade(user, { side, tokenIn, tokenOut, amountIn, amountOut });
+            if (!preCheck.valid) {
+                return this.skipTrade(preCheck.reason, preCheck.detail);
             }
 
             let existingPosition = await this.getUserTokenPosition(user.id, tokenOut);
-            let userTradeAmount = await this.calculateTradeAmount(user, { side, tokenIn, tokenOut, amountIn, amountOut }, alphaWallet);
+            const sellFraction = swapDetails.alphaSellFraction;
+            let userTradeAmount = await this.calculateTradeAmount(user, { side, tokenIn, tokenOut, amountIn, amountOut, sellFraction }, alphaWallet);
 
             // Enhanced position scaling logic
             if (side === 'buy' && existingPosition && existingPosition.isOpen) {
@@ -247,55 +450,74 @@ class TradingEngine {
                 userTradeAmount = userTradeAmount * scaleFactor;
 
                 if (userTradeAmount <= 0.001) {
-                    this.logWithTimestamp(`Position scaling resulted in minimal trade amount, skipping`);
-                    return;
+                    return this.skipTrade(SKIP_REASONS.SCALED_TOO_SMALL, `Scaled to ${userTradeAmount.toFixed(6)} SOL`);
                 }
                 this.logWithTimestamp(`Scaling existing position in ${tokenOut?.slice(0, 8)} by factor ${scaleFactor}`);
             }
 
-            if (userTradeAmount <= 0 || userTradeAmount > (user.max_trade_amount || Number.MAX_VALUE)) {
-                this.logWithTimestamp('Trade amount outside limits, skipping');
-                return;
+            const validation = await this.validateTrade(user, { side, tokenIn, tokenOut }, userTradeAmount);
+            if (!validation.valid) {
+                return this.skipTrade(validation.reason, validation.detail);
             }
 
             // Get token info with caching
             const tokenInfo = await this.getTokenInfo(side === 'buy' ? tokenOut : tokenIn);
 
-            // === PUMPSWAP-SPECIFIC SWAP ===
+            // === ROUTED SWAP (pump.fun / PumpSwap / Jupiter) ===
             const decryptedKey = this.decryptPrivateKey(user.private_key);
+            const tokenAddress = side === 'buy' ? tokenOut : tokenIn;
+
+            // The row exists before anything is signed so every send attempt can be recorded against it
+            tradeId = await database.addTrade({
+                userId: user.id,
+                alphaWallet,
+                tokenAddress,
+                tokenSymbol: tokenInfo?.symbol || 'UNKNOWN',
+                tokenName: tokenInfo?.name || 'Unknown Token',
+                side,
+                amount: userTradeAmount,
+                price: 0,
+                signature: null,
+                jupiterQuote: null,
+                status: 'pending'
+            });
 
-            this.logWithTimestamp("PumpSwap params:", {
+            this.logWithTimestamp("Swap params:", {
+                side,
                 tokenIn,
                 tokenOut,
                 amountIn: userTradeAmount,
-                slippageBps: Math.floor((user.slippage || 3) * 100),
+                slippageBps: Math.floor((settings.slippage || 3) * 100),
                 //poolPDA
             });
 
-            const exec = await this.executePumpSwapWithRetry(
-                decryptedKey,
-                {
-                    tokenIn,
-                    tokenOut,
-                    amountIn: userTradeAmount,
-                    slippageBps: Math.floor((user.slippage || 3) * 100),
-                   // poolPDA
-                },
-                3
-            );
+            const exec = await this.executeTrackedSwap(tradeId, decryptedKey, {
+                side,
+                tokenIn,
+                tokenOut,
+                amountIn: userTradeAmount,
+                slippageBps: Math.floor((settings.slippage || 3) * 100),
+                priorityFee: this.getPriorityFeeSettings(user),
+                venue,
+               // poolPDA
+            }, 3);
 
             if (!exec?.signature) {
                 await this.notifyUser(user.telegram_id, 
                     `❌ Trade execution failed for ${tokenInfo?.symbol || 'token'}.`
                 );
-                return;
+                return { decision: 'failed', reason: SKIP_REASONS.EXECUTION_FAILED, detail: null, tradeId };
             }
 
+            // Actual fill from the confirmed transaction, falling back to the quote if it can't be read
+            const fill = await this.getExecutedFill(exec, user, tokenAddress);
+            const position = side === 'sell' ? await this.getUserTokenPosition(user.id, tokenAddress) : null;
+
             const tradeResult = {
                 success: !!exec?.signature,
                 signature: exec?.signature || null,
-                inputAmount: exec.inputAmount || userTradeAmount,
-                outputAmount: exec.outputAmount || 0,
+                inputAmount: fill.inputAmount,
+                outputAmount: fill.outputAmount,
                 priceImpact: exec.priceImpact || 0,
                 gasUsed: exec?.gasUsed || 0
             };
@@ -303,25 +525,33 @@ class TradingEngine {
             const tradeData = {
                 userId: user.id,
                 alphaWallet,
-                tokenAddress: side === 'buy' ? tokenOut : tokenIn,
+                tokenAddress,
                 tokenSymbol: tokenInfo?.symbol || 'UNKNOWN',
                 tokenName: tokenInfo?.name || 'Unknown Token',
                 side,
-                amount: userTradeAmount,
-                price: exec.price || 0,
+                amount: fill.inputAmount,
+                price: fill.price,
+                tokenAmount: fill.tokenAmount,
+                solAmount: fill.solAmount,
+                feeSol: fill.feeSol,
+                profitLoss: side === 'sell' ? this.calculateRealizedPnL(position, fill.price) : 0,
+                // The alpha left the token entirely, so the follower's position closes even if dust remains
+                fullExit: side === 'sell' && sellFraction === 1,
+                expectedAmountOut: exec.outputAmount || 0,
                 signature: tradeResult.signature,
-                routeInfo: JSON.stringify(exec.routeInfo || {}),
+                jupiterQuote: exec.route ? JSON.stringify(exec.route) : null,
                 status: tradeResult.success ? 'completed' : 'failed',
                 priceImpact: tradeResult.priceImpact,
                 gasUsed: tradeResult.gasUsed
             };
 
-            await database.addTrade(tradeData);
+            await database.updateTrade(tradeId, tradeData);
 
             if (tradeResult.success) {
                 this.stats.tradesSuccessful++;
-                await this.updateUserPosition(user.id, tradeData);
-                await this.notifyTradeSuccess(user.telegram_id, tradeData, tradeResult, tokenInfo);
+                const updatedPosition = await this.updateUserPosition(user.id, tradeData);
+                await this.notifyTradeSuccess(user.telegram_id, tradeData, tradeResult, tokenInfo, side === 'sell' ? updatedPosition : null);
+                if (side === 'sell') await this.reclaimRentAfterExit(user, decryptedKey, updatedPosition);
 
                 // Invalidate user position cache
                 const cacheKey = `${user.id}_${tradeData.tokenAddress}`;
@@ -331,37 +561,79 @@ class TradingEngine {
                 await this.notifyTradeFailed(user.telegram_id, tradeData, 'Execution failed');
             }
 
+            return { decision: 'copied', reason: null, detail: null, tradeId };
         } catch (error) {
             this.logWithTimestamp('❌ Error executing copy trade:', error);
             this.stats.tradesFailed++;
             await this.notifyUser(user.telegram_id, `❌ Trade execution failed: ${error.message}`);
+            return {
+                decision: 'failed',
+                reason: error.code === TX_UNCONFIRMED ? SKIP_REASONS.UNCONFIRMED : SKIP_REASONS.ERROR,
+                detail: error.message,
+                tradeId
+            };
         }
     }
 
+    // Reads what the confirmed swap actually did to the wallet. Amounts are in trade direction:
+    // inputAmount is SOL on buys and tokens on sells, outputAmount the other leg.
+    async getExecutedFill(exec, user, tokenAddress) {
+        const side = exec.quote?.side;
+        try {
+            const fill = await this.solanaService.getTransactionFill(exec.signature, user.wallet_address, tokenAddress);
+            return {
+                ...fill,
+                inputAmount: fill.side === 'buy' ? fill.solAmount : fill.tokenAmount,
+                outputAmount: fill.side === 'buy' ? fill.tokenAmount : fill.solAmount,
+                fromChain: true
+            };
+        } catch (error) {
+            this.logWithTimestamp(`⚠️ Could not read fill for ${exec.signature}, using quote:`, error.message);
+            const tokenAmount = side === 'sell' ? exec.inputAmount : exec.outputAmount;
+            const solAmount = side === 'sell' ? exec.outputAmount : exec.inputAmount;
+            return {
+                side,
+                solAmount: solAmount || 0,
+                tokenAmount: tokenAmount || 0,
+                feeSol: 0,
+                rentSol: 0,
+                price: exec.price || 0,
+                inputAmount: exec.inputAmount || 0,
+                outputAmount: exec.outputAmount || 0,
+                fromChain: false
+            };
+        }
+    }
+
+    calculateRealizedPnL(position, exitPrice) {
+        if (!position || !(position.averagePrice > 0) || !(exitPrice > 0)) return 0;
+        return ((exitPrice - position.averagePrice) / position.averagePrice) * 100;
+    }
+
     // === ENHANCED VALIDATION ===
     async preValidateTrade(user, swap) {
         const { side, tokenIn, tokenOut } = swap;
 
         // Quick checks first
-        if (!tokenIn || !tokenOut || tokenIn === tokenOut) return false;
+        if (!tokenIn || !tokenOut || tokenIn === tokenOut) {
+            return { valid: false, reason: SKIP_REASONS.INVALID_TOKENS };
+        }
 
         // Check blacklist (cached)
         const tokenToCheck = side === 'buy' ? tokenOut : tokenIn;
         if (await this.isTokenBlacklisted(tokenToCheck)) {
-            this.logWithTimestamp(`Token ${tokenToCheck?.slice(0, 8)} is blacklisted`);
-            return false;
+            return { valid: false, reason: SKIP_REASONS.BLACKLISTED, detail: tokenToCheck };
         }
 
         // Check user wallet balance for buys
         if (side === 'buy') {
             const balance = await this.solanaService.getWalletBalance(user.wallet_address);
             if (balance < 0.02) { // Need minimum for trade + fees
-                this.logWithTimestamp(`Insufficient balance: ${balance} SOL`);
-                return false;
+                return { valid: false, reason: SKIP_REASONS.INSUFFICIENT_BALANCE, detail: `${balance} SOL` };
             }
         }
 
-        return true;
+        return { valid: true };
     }
 
     calculateScaleFactor(existingPosition, newTradeAmount, user) {
@@ -379,32 +651,65 @@ class TradingEngine {
         return 0.5; // Default 50% scaling for existing positions
     }
 
-    // === PUMPSWAP HELPERS WITH RETRY LOGIC ===
-    async executePumpSwapWithRetry(decryptedKey, swapParams, maxRetries = 3) {
+    getPriorityFeeSettings(user) {
+        return {
+            mode: user.priority_fee_mode || 'dynamic',
+            microLamports: user.priority_fee_micro_lamports || 0,
+            percentile: user.priority_fee_percentile || 75
+        };
+    }
+
+    // Runs the swap with every signed transaction recorded on the trade row, and settles the row's
+    // status when nothing confirmed. Unconfirmed sends are left for manual review, never retried.
+    async executeTrackedSwap(tradeId, decryptedKey, swapParams, maxRetries) {
+        try {
+            const exec = await this.executeSwapWithRetry(decryptedKey, {
+                ...swapParams,
+                onAttempt: (attempt) => database.recordTradeAttempt(tradeId, attempt)
+            }, maxRetries);
+
+            if (!exec?.signature) await database.updateTrade(tradeId, { status: 'failed' });
+            return exec;
+        } catch (error) {
+            await database.updateTrade(tradeId, {
+                status: error.code === TX_UNCONFIRMED ? 'unconfirmed' : 'failed',
+                signature: error.signature || null
+            });
+            throw error;
+        }
+    }
+
+    // === SWAP EXECUTION WITH RETRY LOGIC ===
+    async executeSwapWithRetry(decryptedKey, swapParams, maxRetries = 3) {
         let lastError;
 
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
-                const exec = await this.solanaService.executePumpSwap({
+                const exec = await this.solanaService.executeSwap({
                     decryptedKey,
+                    side: swapParams.side,
                     tokenIn: swapParams.tokenIn,
                     tokenOut: swapParams.tokenOut,
                     amountIn: swapParams.amountIn,
                     slippageBps: swapParams.slippageBps,
-                    //poolPDA: swapParams.poolPDA
+                    priorityFee: swapParams.priorityFee,
+                    venue: swapParams.venue,
+                    onAttempt: swapParams.onAttempt
                 });
 
                 if (exec?.signature) {
-                    this.logWithTimestamp(`✅ PumpSwap successful on attempt ${attempt}`);
+                    this.logWithTimestamp(`✅ Swap via ${exec.venue} successful on attempt ${attempt}`);
                     return exec;
                 }
             } catch (error) {
+                // A signature that may still land must never be followed by a fresh transaction
+                if (error.code === TX_UNCONFIRMED) throw error;
                 lastError = error;
-                this.logWithTimestamp(`❌ PumpSwap attempt ${attempt} failed:`, error.message);
+                this.logWithTimestamp(`❌ Swap attempt ${attempt} failed:`, error.message);
                 if (attempt < maxRetries) await new Promise(res => setTimeout(res, Math.pow(2, attempt) * 1000));
             }
         }
-        this.logWithTimestamp(`❌ All ${maxRetries} PumpSwap attempts failed`);
+        this.logWithTimestamp(`❌ All ${maxRetries} swap attempts failed`);
         return null;
     }
 
@@ -422,6 +727,13 @@ class TradingEngine {
             if (meta) {
                 // Cache token info for 5 minutes
                 this.setCacheWithExpiry(this.tokenInfoCache, mint, meta, this.cacheConfig.tokenInfo);
+
+                // Rows written before the symbol could be resolved still say UNKNOWN
+                if (meta.symbol !== 'UNKNOWN' && !this.backfilledMints.has(mint)) {
+                    this.backfilledMints.add(mint);
+                    const updated = database.backfillTokenSymbol(mint, meta.symbol, meta.name);
+                    if (updated > 0) this.logWithTimestamp(`Backfilled symbol ${meta.symbol} on ${updated} row(s)`);
+                }
             }
             return meta;
         } catch (error) {
@@ -430,34 +742,23 @@ class TradingEngine {
         }
     }
 
-    async getTokenDecimals(tokenAddress) {
+    async backfillTokenSymbols() {
         try {
-            const info = await this.getTokenInfo(tokenAddress);
-            if (info?.decimals !== undefined) return info.decimals;
-
-            // Cache key for decimals
-            const cacheKey = `decimals_${tokenAddress}`;
-            const cached = this.getCacheValue(this.tokenInfoCache, cacheKey);
-            if (cached) return cached;
-
-            try {
-                const pubkey = new PublicKey(tokenAddress === 'SOL'
-                    ? 'So11111111111111111111111111111111111111112'
-                    : tokenAddress);
-                const accountInfo = await this.solanaService.connection.getParsedAccountInfo(pubkey);
-                const decimals = accountInfo.value?.data?.parsed?.info?.decimals;
-
-                if (decimals !== undefined) {
-                    this.setCacheWithExpiry(this.tokenInfoCache, cacheKey, decimals, this.cacheConfig.tokenInfo);
-                    return decimals;
-                }
-            } catch (innerErr) {
-                this.logWithTimestamp(`Not a valid public key, using default: ${tokenAddress?.slice(0, 8)}`);
+            const mints = database.getMintsMissingSymbol();
+            for (const mint of mints) {
+                await this.getTokenInfo(mint);
             }
+        } catch (error) {
+            this.logWithTimestamp('❌ Error backfilling token symbols:', error);
+        }
+    }
 
-            // Cache default value
-            this.setCacheWithExpiry(this.tokenInfoCache, cacheKey, 9, this.cacheConfig.tokenInfo);
-            return 9;
+    async getTokenDecimals(tokenAddress) {
+        if (tokenAddress === 'SOL' || tokenAddress === 'So11111111111111111111111111111111111111112') return 9;
+        try {
+            // Reads the mint under whichever token program owns it (SPL Token or Token-2022)
+            const { decimals } = await this.solanaService.getMintInfo(tokenAddress);
+            return decimals;
         } catch (err) {
             this.logWithTimestamp(`Could not fetch decimals for token ${tokenAddress?.slice(0, 8)}: ${err.message}`);
             return 9;
@@ -467,7 +768,9 @@ class TradingEngine {
     // === ENHANCED POSITIONS WITH BETTER CACHING ===
     async updateUserPosition(userId, tradeData) {
         try {
-            const { tokenAddress, tokenSymbol, side, amount, price } = tradeData;
+            const { tokenAddress, tokenSymbol, side, price } = tradeData;
+            // Positions are tracked in token units; fall back to the raw amount when no fill is known
+            const amount = tradeData.tokenAmount ?? tradeData.amount;
             let position = await this.getUserTokenPosition(userId, tokenAddress);
             let updatedPosition;
 
@@ -477,8 +780,11 @@ class TradingEngine {
                         userId,
                         tokenAddress,
                         tokenSymbol,
+                        alphaWallet: tradeData.alphaWallet,
                         totalAmount: amount,
                         averagePrice: price,
+                        takeProfitHits: [],
+                        realizedPnl: 0,
                         isOpen: true,
                         createdAt: new Date().toISOString()
                     };
@@ -492,18 +798,35 @@ class TradingEngine {
 
                     updatedPosition = {
                         ...position,
+                        // A reopened position belongs to the alpha that reopened it and trails from a fresh peak
+                        alphaWallet: position.isOpen && position.alphaWallet ? position.alphaWallet : tradeData.alphaWallet,
+                        peakPrice: position.isOpen ? position.peakPrice : null,
+                        takeProfitHits: position.isOpen ? position.takeProfitHits : [],
+                        pendingExit: position.isOpen ? position.pendingExit : null,
+                        realizedPnl: position.isOpen ? position.realizedPnl : 0,
                         totalAmount: newTotalAmount,
                         averagePrice: newAveragePrice,
+                        isOpen: true,
+                        closedAt: null,
                         updatedAt: new Date().toISOString()
                     };
                     await database.updatePosition(userId, tokenAddress, updatedPosition);
                 } else if (side === 'sell') {
-                    const remainingAmount = Math.max(0, position.totalAmount - amount);
+                    const remainingAmount = tradeData.fullExit ? 0 : Math.max(0, position.totalAmount - amount);
                     const isOpen = remainingAmount > 0.000001; // Account for floating point precision
 
+                    // Average cost: the sold tokens take their share of the basis and averagePrice carries
+                    // over, so what is left keeps a cost basis of remainingAmount * averagePrice
+                    const soldCost = (position.totalAmount - remainingAmount) * position.averagePrice;
+                    const realized = tradeData.solAmount > 0 ? tradeData.solAmount - soldCost : 0;
+
                     updatedPosition = {
                         ...position,
                         totalAmount: remainingAmount,
+                        realizedPnl: (position.realizedPnl || 0) + realized,
+                        takeProfitHits: tradeData.ladderRungs
+                            ? [...(position.takeProfitHits || []), ...tradeData.ladderRungs]
+                            : position.takeProfitHits,
                         isOpen,
                         updatedAt: new Date().toISOString(),
                         closedAt: isOpen ? null : new Date().toISOString()
@@ -516,9 +839,30 @@ class TradingEngine {
             if (updatedPosition) {
                 const cacheKey = `${userId}_${tokenAddress}`;
                 this.setCacheWithExpiry(this.positions, cacheKey, updatedPosition, this.cacheConfig.positions);
+                // The monitor must not act on pre-trade amounts, e.g. refire a ladder rung it just sold
+                this.positions.delete(`open_positions_${userId}`);
             }
+            return updatedPosition || null;
         } catch (error) {
             this.logWithTimestamp('❌ Error updating user position:', error);
+            return null;
+        }
+    }
+
+    // After a full exit the ATA only holds rent (~0.002 SOL); close it once the chain shows zero tokens
+    async reclaimRentAfterExit(user, decryptedKey, position) {
+        if (!position || position.isOpen) return;
+        try {
+            const result = await this.solanaService.closeEmptyTokenAccount({
+                decryptedKey,
+                mint: position.tokenAddress,
+                priorityFee: this.getPriorityFeeSettings(user)
+            });
+            if (result?.closed) {
+                this.logWithTimestamp(`♻️ Closed ${position.tokenSymbol} account for user ${user.telegram_id}, reclaimed ${result.reclaimedSol.toFixed(6)} SOL`);
+            }
+        } catch (error) {
+            this.logWithTimestamp('⚠️ Could not close token account after exit:', error.message);
         }
     }
 
@@ -578,13 +922,21 @@ class TradingEngine {
                 }
 
                 const maxAmount = user.max_trade_amount || 0.1;
-                const proportionalAmount = Math.min(amountIn * 0.1, maxAmount * 0.5); // Cap at 50% of max
-                return Math.min(maxAmount, proportionalAmount, 1.0);
+                const minAmount = Math.min(user.min_trade_amount || 0, maxAmount);
+                const { sizeMode, sizeValue } = this.getCopySettings(user, alphaWallet);
+
+                const amount = await this.calculateBuySize(user, sizeMode, sizeValue, amountIn, alphaWallet);
+                if (!(amount > 0)) return 0;
+                return Math.min(maxAmount, Math.max(minAmount, amount));
             } else {
                 const position = await this.getUserTokenPosition(user.id, tokenIn);
                 if (!position || !position.isOpen || position.totalAmount <= 0) return 0;
 
-                // Enhanced sell calculation - sell percentage based on alpha trade size
+                if (swap.sellFraction != null) {
+                    return position.totalAmount * swap.sellFraction;
+                }
+
+                // The alpha's holding couldn't be read; fall back to a size-based guess, never a full exit
                 const alphaPercentage = Math.min(amountIn / (amountIn + 1), 0.8); // Max 80% sell
                 return Math.min(position.totalAmount, position.totalAmount * alphaPercentage);
             }
@@ -594,30 +946,92 @@ class TradingEngine {
         }
     }
 
-    async validateTrade(user, swap, alphaWallet) {
+    // Share of its holding the alpha sold, 1 for a full exit. Read from the token balances around the
+    // swap, else from its current balance plus what it sold; null when neither can be read.
+    async getAlphaSellFraction(swapDetails, alphaWallet, mint, soldAmount) {
         try {
-            const userTradeAmount = await this.calculateTradeAmount(user, swap, alphaWallet);
+            let before = 0;
+            let after = 0;
+
+            const change = swapDetails.signature
+                ? await this.solanaService.getHoldingChange(swapDetails.signature, alphaWallet, mint, { attempts: 2 }).catch(() => null)
+                : null;
+            if (change && change.before > 0n) {
+                before = Number(change.before);
+                after = Number(change.after);
+            } else {
+                after = await this.solanaService.getTokenBalance(alphaWallet, mint);
+                before = after + soldAmount;
+            }
 
-            if (userTradeAmount < 0.001) return false;
-            if (userTradeAmount > (user.max_trade_amount || 0.1)) return false;
+            if (!(before > 0)) return null;
+            const fraction = after / before < FULL_EXIT_REMAINDER ? 1 : Math.min(1, Math.max(0, (before - after) / before));
+            this.logWithTimestamp(`Alpha ${alphaWallet.slice(0, 8)} sold ${(fraction * 100).toFixed(1)}% of its ${mint.slice(0, 8)}`);
+            return fraction;
+        } catch (error) {
+            this.logWithTimestamp('⚠️ Could not read alpha holding for sell mirroring:', error.message);
+            return null;
+        }
+    }
 
-            if (swap.side === 'buy') {
+    // Unclamped SOL size of a buy for the given mode; 0 when it can't be determined
+    async calculateBuySize(user, sizeMode, sizeValue, alphaAmount, alphaWallet) {
+        switch (sizeMode) {
+            case SIZE_MODES.FIXED:
+                return sizeValue;
+            case SIZE_MODES.MULTIPLIER:
+                return alphaAmount * sizeValue;
+            case SIZE_MODES.BALANCE_PERCENT: {
                 const balance = await this.solanaService.getWalletBalance(user.wallet_address);
-                if (balance < userTradeAmount + 0.015) return false; // Higher fee buffer
+                return balance * sizeValue / 100;
             }
+            case SIZE_MODES.ALPHA_RATIO: {
+                // An unreadable alpha balance would read as 0 and make the alpha look all-in; skip instead
+                let alphaBalance;
+                try {
+                    alphaBalance = await this.solanaService.getSolBalance(alphaWallet);
+                } catch (error) {
+                    this.logWithTimestamp(`⚠️ Could not read ${alphaWallet} balance for ratio sizing, skipping:`, error.message);
+                    return 0;
+                }
+                const balance = await this.solanaService.getWalletBalance(user.wallet_address);
+                // The signal arrives after the swap, so the alpha's balance before it is the current one plus what it spent
+                const alphaShare = alphaAmount / (alphaBalance + alphaAmount);
+                return balance * alphaShare * (sizeValue || 1);
+            }
+            default: {
+                const maxAmount = user.max_trade_amount || 0.1;
+                return Math.min(alphaAmount * 0.1, maxAmount * 0.5, 1.0); // Cap at 50% of max
+            }
+        }
+    }
 
-            const tokenAddress = swap.side === 'buy' ? swap.tokenOut : swap.tokenIn;
-            if (await this.isTokenBlacklisted(tokenAddress)) return false;
-
+    // Final checks on the sized (and scaled) trade amount; token and position checks already ran in
+    // preValidateTrade and calculateTradeAmount. Sell amounts are token quantities, so the SOL limits
+    // only apply to buys.
+    async validateTrade(user, swap, userTradeAmount) {
+        try {
             if (swap.side === 'sell') {
-                const position = await this.getUserTokenPosition(user.id, swap.tokenIn);
-                if (!position || !position.isOpen || position.totalAmount <= 0) return false;
+                // calculateTradeAmount sizes a sell at 0 when there is no open position
+                if (!(userTradeAmount > 0)) {
+                    return { valid: false, reason: SKIP_REASONS.NO_POSITION };
+                }
+            } else {
+                const maxAmount = user.max_trade_amount || 0.1;
+                if (!(userTradeAmount >= 0.001) || userTradeAmount > maxAmount) {
+                    return { valid: false, reason: SKIP_REASONS.AMOUNT_OUT_OF_LIMITS, detail: `${userTradeAmount} vs max ${maxAmount}` };
+                }
+
+                const balance = await this.solanaService.getWalletBalance(user.wallet_address);
+                if (balance < userTradeAmount + 0.015) { // Higher fee buffer
+                    return { valid: false, reason: SKIP_REASONS.INSUFFICIENT_BALANCE, detail: `${balance} SOL for a ${userTradeAmount.toFixed(4)} SOL buy` };
+                }
             }
 
-            return true;
+            return { valid: true };
         } catch (error) {
             this.logWithTimestamp('❌ Error validating trade:', error);
-            return false;
+            return { valid: false, reason: SKIP_REASONS.ERROR, detail: error.message };
         }
     }
 
@@ -652,6 +1066,14 @@ class TradingEngine {
     }
 
     async monitorPositions() {
+        // An auto-sell can wait on confirmation longer than the interval; a second pass would see the
+        // position before that sell is recorded and fire it again
+        if (this.monitoringPositions) {
+            this.logWithTimestamp('Previous position check still running, skipping this tick');
+            return;
+        }
+        this.monitoringPositions = true;
+
         try {
             const startTime = Date.now();
             const users = await this.getUsersWithAutoSell();
@@ -669,6 +1091,8 @@ class TradingEngine {
             this.logWithTimestamp(`Position monitoring completed: ${positionsChecked} positions in ${duration}ms`);
         } catch (error) {
             this.logWithTimestamp('❌ Error monitoring positions:', error);
+        } finally {
+            this.monitoringPositions = false;
         }
     }
 
@@ -682,23 +1106,47 @@ class TradingEngine {
                 this.getCachedTokenPrice(position.tokenAddress)
             );
 
+            if (position.pendingExit) {
+                await this.resolvePendingExit(user, position, currentPrice);
+                return;
+            }
+
             if (!currentPrice || currentPrice <= 0) return;
 
             const entryPrice = position.averagePrice;
+            if (!entryPrice || entryPrice <= 0) return;
             const currentProfitPercent = ((currentPrice - entryPrice) / entryPrice) * 100;
 
-            const takeProfitThreshold = user.take_profit || 100;
-            const stopLossThreshold = user.stop_loss || 20;
-
-            if (currentProfitPercent >= takeProfitThreshold) {
+            // The alpha that opened the position may override the user's TP/SL and slippage
+            const settings = this.getCopySettings(user, position.alphaWallet);
+            const takeProfitThreshold = settings.takeProfit || 100;
+            const stopLossThreshold = settings.stopLoss || 20;
+
+            if (settings.takeProfitLadder.length) {
+                const due = this.getDueLadderRungs(settings.takeProfitLadder, position, currentProfitPercent);
+                if (due) {
+                    this.logWithTimestamp(`Take profit ladder triggered: ${position.tokenSymbol} at ${currentProfitPercent.toFixed(2)}%, rungs +${due.rungs.join('%, +')}%`);
+                    await this.executeAutoSell(user, position, 'tp_ladder', currentPrice, settings.slippage, {
+                        amount: position.totalAmount * due.fraction,
+                        rungs: due.rungs
+                    });
+                    return;
+                }
+            } else if (currentProfitPercent >= takeProfitThreshold) {
                 this.logWithTimestamp(`Take profit triggered: ${position.tokenSymbol} at ${currentProfitPercent.toFixed(2)}%`);
-                await this.executeAutoSell(user, position, 'take_profit', currentPrice);
+                await this.executeAutoSell(user, position, 'take_profit', currentPrice, settings.slippage);
+                return;
+            }
+
+            if (await this.checkTrailingStop(user, position, currentPrice)) {
+                this.logWithTimestamp(`Trailing stop triggered: ${position.tokenSymbol} at ${currentProfitPercent.toFixed(2)}%, peak ${position.peakPrice}`);
+                await this.executeAutoSell(user, position, 'trailing_stop', currentPrice, settings.slippage);
                 return;
             }
 
             if (currentProfitPercent <= -stopLossThreshold) {
                 this.logWithTimestamp(`Stop loss triggered: ${position.tokenSymbol} at ${currentProfitPercent.toFixed(2)}%`);
-                await this.executeAutoSell(user, position, 'stop_loss', currentPrice);
+                await this.executeAutoSell(user, position, 'stop_loss', currentPrice, settings.slippage);
                 return;
             }
         } catch (error) {
@@ -706,13 +1154,53 @@ class TradingEngine {
         }
     }
 
+    // Ladder rungs reached but not yet sold at, and the share of the current holding they sell.
+    // Rung sizes are shares of the pre-ladder position, so they're rescaled to what is left of it.
+    getDueLadderRungs(ladder, position, profitPercent) {
+        const hits = position.takeProfitHits || [];
+        const due = ladder.filter(r => r.profit <= profitPercent && !hits.includes(r.profit));
+        if (due.length === 0) return null;
+
+        const soldPercent = ladder.filter(r => hits.includes(r.profit)).reduce((sum, r) => sum + r.sell, 0);
+        const duePercent = due.reduce((sum, r) => sum + r.sell, 0);
+        const remainingPercent = 100 - soldPercent;
+
+        return {
+            rungs: due.map(r => r.profit),
+            fraction: remainingPercent > 0 ? Math.min(1, duePercent / remainingPercent) : 1
+        };
+    }
+
+    // Raises the position's persisted high-water mark and reports whether price has fallen
+    // trailing_stop % from it. The trail only arms once the peak is trailing_activation % in profit.
+    async checkTrailingStop(user, position, currentPrice) {
+        const trailPercent = user.trailing_stop || 0;
+        if (trailPercent <= 0) return false;
+
+        if (!(position.peakPrice >= currentPrice)) {
+            position.peakPrice = Math.max(currentPrice, position.averagePrice);
+            await database.updatePosition(user.id, position.tokenAddress, { peakPrice: position.peakPrice });
+
+            // Copy trades rewrite the position from this cache entry, so keep it from carrying an older peak
+            const cached = this.getCacheValue(this.positions, `${user.id}_${position.tokenAddress}`);
+            if (cached) cached.peakPrice = position.peakPrice;
+        }
+
+        const peakProfitPercent = ((position.peakPrice - position.averagePrice) / position.averagePrice) * 100;
+        if (peakProfitPercent < (user.trailing_activation || 0)) return false;
+
+        const drawdownPercent = ((position.peakPrice - currentPrice) / position.peakPrice) * 100;
+        return drawdownPercent >= trailPercent;
+    }
+
+    // Positions are priced in SOL per token, matching averagePrice
     async getCachedTokenPrice(tokenAddress) {
         // Check price cache first
         const cached = this.getCacheValue(this.priceCache, tokenAddress);
         if (cached) return cached;
 
         try {
-            const price = await this.solanaService.getIndicativePriceUSD(tokenAddress);
+            const price = await this.solanaService.getTokenPriceSOL(tokenAddress);
             if (price > 0) {
                 this.setCacheWithExpiry(this.priceCache, tokenAddress, price, this.cacheConfig.price);
             }
@@ -723,8 +1211,11 @@ class TradingEngine {
         }
     }
 
-    async executeAutoSell(user, position, reason, currentPrice) {
+    // Sells the whole position, or for a ladder rung `ladder.amount` of it, recording the rungs it sold at
+    async executeAutoSell(user, position, reason, currentPrice, slippage = user.slippage, ladder = null) {
+        let tradeId = null;
         try {
+            const sellAmount = ladder ? ladder.amount : position.totalAmount;
             this.logWithTimestamp(`Executing auto-sell for ${position.tokenSymbol}: ${reason}`);
 
             const tokenInfo = await this.getTokenInfo(position.tokenAddress);
@@ -735,71 +1226,173 @@ class TradingEngine {
 
             const wsol = 'So11111111111111111111111111111111111111112';
             const decryptedKey = this.decryptPrivateKey(user.private_key);
-            const exec = await this.executePumpSwapWithRetry(
-                decryptedKey,
-                {
-                    tokenIn: position.tokenAddress,
-                    tokenOut: wsol,
-                    amountIn: position.totalAmount,
-                    slippageBps: Math.floor((user.slippage || 5) * 100)
-                },
-                2
-            );
 
-            if (exec?.signature) {
-                const profitLoss = ((currentPrice - position.averagePrice) / position.averagePrice) * 100;
-
-                const tradeData = {
-                    userId: user.id,
-                    alphaWallet: 'AUTO_SELL',
-                    tokenAddress: position.tokenAddress,
-                    tokenSymbol: position.tokenSymbol,
-                    tokenName: position.tokenSymbol,
-                    side: 'sell',
-                    amount: position.totalAmount,
-                    price: currentPrice,
-                    signature: exec.signature,
-                    routeInfo: JSON.stringify(exec.routeInfo || {}),
-                    status: 'completed',
-                    autoSellReason: reason,
-                    profitLoss: profitLoss
-                };
-
-                await database.addTrade(tradeData);
-                await this.updateUserPosition(user.id, tradeData);
-
-                // Enhanced notification
-                const message = `
-🔔 <b>Auto-Sell Executed!</b>
+            tradeId = await database.addTrade({
+                userId: user.id,
+                alphaWallet: 'AUTO_SELL',
+                tokenAddress: position.tokenAddress,
+                tokenSymbol: position.tokenSymbol,
+                tokenName: position.tokenSymbol,
+                side: 'sell',
+                amount: sellAmount,
+                price: 0,
+                signature: null,
+                jupiterQuote: null,
+                status: 'pending'
+            });
 
-🏷️ <b>Token:</b> ${position.tokenSymbol}
-🎯 <b>Trigger:</b> ${reason === 'take_profit' ? '🟢 Take Profit' : '🔴 Stop Loss'}
-💰 <b>Amount:</b> ${position.totalAmount.toFixed(6)}
-💵 <b>Entry:</b> $${position.averagePrice.toFixed(8)}
-💵 <b>Exit:</b> $${currentPrice.toFixed(8)}
-📈 <b>P&L:</b> ${profitLoss >= 0 ? '🟢' : '🔴'} ${profitLoss.toFixed(2)}%
-💎 <b>SOL Received:</b> ~${(exec.outputAmount || 0).toFixed(4)}
-🔗 <b>Tx:</b> <code>${exec.signature}</code>
+            const exec = await this.executeTrackedSwap(tradeId, decryptedKey, {
+                side: 'sell',
+                tokenIn: position.tokenAddress,
+                tokenOut: wsol,
+                amountIn: sellAmount,
+                slippageBps: Math.floor((slippage || 5) * 100),
+                priorityFee: this.getPriorityFeeSettings(user)
+            }, 2);
 
-⏰ <i>${new Date().toLocaleString()}</i>
-                `;
-
-                await this.notifyUser(user.telegram_id, message);
-                this.logWithTimestamp(`Auto-sell completed for user ${user.telegram_id}: ${reason}, P&L: ${profitLoss.toFixed(2)}%`);
+            if (exec?.signature) {
+                const fill = await this.getExecutedFill(exec, user, position.tokenAddress);
+                await this.completeAutoSell(user, position, {
+                    tradeId,
+                    signature: exec.signature,
+                    fill,
+                    reason,
+                    currentPrice,
+                    rungs: ladder?.rungs,
+                    expectedAmountOut: exec.outputAmount || 0,
+                    route: exec.route
+                });
             } else {
                 this.logWithTimestamp('❌ Auto-sell execution failed');
                 await this.notifyUser(user.telegram_id, 
-                    `⚠️ Auto-sell failed for ${position.tokenSymbol}. Please check manually.`
+                    `⚠️ Auto-sell failed for ${escapeHtml(position.tokenSymbol)}. Please check manually.`
                 );
             }
         } catch (error) {
+            if (error.code === TX_UNCONFIRMED && tradeId) {
+                // It may still land: hold further auto-sells until the signature is resolved, or a
+                // partial ladder sell would go out a second time
+                this.logWithTimestamp(`⏳ Auto-sell ${error.signature} for ${position.tokenSymbol} unconfirmed, holding the position`);
+                await this.setPendingExit(user, position, {
+                    signature: error.signature,
+                    tradeId,
+                    reason,
+                    rungs: ladder?.rungs || null,
+                    startedAt: Date.now()
+                });
+                await this.notifyUser(user.telegram_id,
+                    `⏳ Auto-sell for ${escapeHtml(position.tokenSymbol)} was sent but not confirmed yet. ` +
+                    `No further auto-sells go out for it until the transaction is found or has expired.`
+                );
+                return;
+            }
+
             this.logWithTimestamp('❌ Error executing auto-sell:', error);
             await this.notifyUser(user.telegram_id, 
-                `❌ Auto-sell error for ${position.tokenSymbol}: ${error.message}`
+                `❌ Auto-sell error for ${escapeHtml(position.tokenSymbol)}: ${escapeHtml(error.message)}`
             );
         }
     }
 
+    // Records a landed auto-sell on its trade and the position, and tells the user
+    async completeAutoSell(user, position, { tradeId, signature, fill, reason, currentPrice, rungs = null, expectedAmountOut = 0, route = null }) {
+        const exitPrice = fill.price || currentPrice;
+        const profitLoss = this.calculateRealizedPnL(position, exitPrice);
+
+        const tradeData = {
+            userId: user.id,
+            alphaWallet: 'AUTO_SELL',
+            tokenAddress: position.tokenAddress,
+            tokenSymbol: position.tokenSymbol,
+            tokenName: position.tokenSymbol,
+            side: 'sell',
+            amount: fill.tokenAmount,
+            price: exitPrice,
+            tokenAmount: fill.tokenAmount,
+            solAmount: fill.solAmount,
+            feeSol: fill.feeSol,
+            expectedAmountOut,
+            signature,
+            jupiterQuote: route ? JSON.stringify(route) : null,
+            status: 'completed',
+            autoSellReason: reason,
+            profitLoss: profitLoss,
+            ladderRungs: rungs
+        };
+
+        await database.updateTrade(tradeId, tradeData);
+        const updatedPosition = await this.updateUserPosition(user.id, tradeData);
+
+        // Enhanced notification
+        const message = `
+🔔 <b>Auto-Sell Executed!</b>
+
+🏷️ <b>Token:</b> ${escapeHtml(position.tokenSymbol)}
+🎯 <b>Trigger:</b> ${AUTO_SELL_LABELS[reason] || reason}${rungs ? ` (+${rungs.join('%, +')}%)` : ''}
+💰 <b>Amount:</b> ${fill.tokenAmount.toFixed(6)}
+💵 <b>Entry:</b> ${position.averagePrice.toFixed(10)} SOL
+💵 <b>Exit:</b> ${exitPrice.toFixed(10)} SOL
+📈 <b>P&L:</b> ${profitLoss >= 0 ? '🟢' : '🔴'} ${profitLoss.toFixed(2)}%
+💎 <b>SOL Received:</b> ${fill.fromChain ? '' : '~'}${fill.solAmount.toFixed(4)}
+🔗 <b>Tx:</b> <code>${signature}</code>
+${formatPositionAfterSell(updatedPosition)}
+⏰ <i>${new Date().toLocaleString()}</i>
+        `;
+
+        await this.notifyUser(user.telegram_id, message);
+        this.logWithTimestamp(`Auto-sell completed for user ${user.telegram_id}: ${reason}, P&L: ${profitLoss.toFixed(2)}%`);
+        await this.reclaimRentAfterExit(user, this.decryptPrivateKey(user.private_key), updatedPosition);
+    }
+
+    // Persists (or clears, with null) the position's unconfirmed auto-sell
+    async setPendingExit(user, position, pendingExit) {
+        position.pendingExit = pendingExit;
+        await database.updatePosition(user.id, position.tokenAddress, { pendingExit });
+
+        const cached = this.getCacheValue(this.positions, `${user.id}_${position.tokenAddress}`);
+        if (cached) cached.pendingExit = pendingExit;
+        this.positions.delete(`open_positions_${user.id}`);
+    }
+
+    // Settles an unconfirmed auto-sell: recorded as a normal auto-sell if it landed, dropped if it
+    // failed or never showed up, left pending while the RPC can't answer
+    async resolvePendingExit(user, position, currentPrice) {
+        const pending = position.pendingExit;
+
+        let tx;
+        try {
+            tx = await this.solanaService.getParsedTransaction(pending.signature, { attempts: 1 });
+        } catch (error) {
+            this.logWithTimestamp(`⚠️ Could not look up pending auto-sell ${pending.signature}:`, error.message);
+            return;
+        }
+
+        if (!tx) {
+            if (Date.now() - pending.startedAt < PENDING_EXIT_GRACE_MS) return;
+            this.logWithTimestamp(`Pending auto-sell ${pending.signature} for ${position.tokenSymbol} never landed, releasing the position`);
+            await database.updateTrade(pending.tradeId, { status: 'failed' });
+            await this.setPendingExit(user, position, null);
+            return;
+        }
+
+        await this.setPendingExit(user, position, null);
+        if (tx.meta?.err) {
+            this.logWithTimestamp(`Pending auto-sell ${pending.signature} for ${position.tokenSymbol} failed on-chain`);
+            await database.updateTrade(pending.tradeId, { status: 'failed' });
+            return;
+        }
+
+        const fill = { ...parseFill(tx, user.wallet_address, position.tokenAddress), fromChain: true };
+        await this.completeAutoSell(user, position, {
+            tradeId: pending.tradeId,
+            signature: pending.signature,
+            fill,
+            reason: pending.reason,
+            currentPrice,
+            rungs: pending.rungs
+        });
+    }
+
     async getUserOpenPositions(userId) {
         try {
             // Cache user positions
@@ -833,7 +1426,7 @@ class TradingEngine {
     }
 
     // === ENHANCED NOTIFICATIONS ===
-    async notifyTradeSuccess(telegramId, tradeData, tradeResult, tokenInfo) {
+    async notifyTradeSuccess(telegramId, tradeData, tradeResult, tokenInfo, position = null) {
         try {
             const priceImpactDisplay = tradeResult.priceImpact > 0 
                 ? `📊 <b>Price Impact:</b> ${(tradeResult.priceImpact * 100).toFixed(2)}%\n` 
@@ -845,15 +1438,18 @@ class TradingEngine {
 
             const tokenEmoji = this.getTokenEmoji(tradeData.side, tradeData.tokenSymbol);
             const profitEmoji = tradeData.side === 'buy' ? '📈' : '💰';
+            const symbol = escapeHtml(tradeData.tokenSymbol);
 
             const message = `
 ${tokenEmoji} <b>Trade Executed Successfully!</b>
 
 💼 <b>Alpha:</b> <code>${tradeData.alphaWallet.slice(0, 8)}...${tradeData.alphaWallet.slice(-8)}</code>
-🏷️ <b>Token:</b> ${tokenInfo?.name || tradeData.tokenSymbol} (${tradeData.tokenSymbol})
+🏷️ <b>Token:</b> ${tokenInfo?.name ? escapeHtml(tokenInfo.name) : symbol} (${symbol})
 📊 <b>Action:</b> ${tradeData.side.toUpperCase()}
-💰 <b>Amount:</b> ${tradeData.amount.toFixed(6)} ${tradeData.side === 'buy' ? 'SOL' : tradeData.tokenSymbol}
-💲 <b>Price:</b> $${tradeData.price.toFixed(8)}
+💰 <b>Amount:</b> ${tradeData.amount.toFixed(6)} ${tradeData.side === 'buy' ? 'SOL' : symbol}
+💲 <b>Price:</b> ${tradeData.price.toFixed(10)} SOL
+📦 <b>Received:</b> ${tradeResult.outputAmount.toFixed(6)} ${tradeData.side === 'buy' ? symbol : 'SOL'}${tradeData.expectedAmountOut ? ` (quoted ${tradeData.expectedAmountOut.toFixed(6)})` : ''}
+${tradeData.feeSol ? `🧾 <b>Network Fee:</b> ${tradeData.feeSol.toFixed(6)} SOL\n` : ''}${formatPositionAfterSell(position)}
 ${priceImpactDisplay}${gasDisplay}🔗 <b>Signature:</b> <code>${tradeResult.signature}</code>
 
 ⏰ <i>${new Date().toLocaleString()}</i>
@@ -885,14 +1481,15 @@ ${priceImpactDisplay}${gasDisplay}🔗 <b>Signature:</b> <code>${tradeResult.sig
 
     async notifyTradeFailed(telegramId, tradeData, error) {
         try {
+            const symbol = escapeHtml(tradeData.tokenSymbol);
             const message = `
 🔴 <b>Trade Failed</b>
 
 💼 <b>Alpha:</b> <code>${tradeData.alphaWallet.slice(0, 8)}...${tradeData.alphaWallet.slice(-8)}</code>
-🏷️ <b>Token:</b> ${tradeData.tokenName || tradeData.tokenSymbol} (${tradeData.tokenSymbol})
+🏷️ <b>Token:</b> ${tradeData.tokenName ? escapeHtml(tradeData.tokenName) : symbol} (${symbol})
 📊 <b>Action:</b> ${tradeData.side.toUpperCase()}
-💰 <b>Amount:</b> ${tradeData.amount.toFixed(6)} ${tradeData.side === 'buy' ? 'SOL' : tradeData.tokenSymbol}
-❌ <b>Reason:</b> ${error}
+💰 <b>Amount:</b> ${tradeData.amount.toFixed(6)} ${tradeData.side === 'buy' ? 'SOL' : symbol}
+❌ <b>Reason:</b> ${escapeHtml(error)}
 
 🔧 <b>Suggestion:</b> Check your balance and slippage settings.
 
@@ -963,6 +1560,10 @@ ${priceImpactDisplay}${gasDisplay}🔗 <b>Signature:</b> <code>${tradeResult.sig
             // Clean up old trades
             await this.cleanupOldTrades();
 
+            // Signals older than any webhook retry window no longer need deduplicating
+            const pruned = database.pruneProcessedSignals();
+            if (pruned > 0) this.logWithTimestamp(`Pruned ${pruned} processed signal(s)`);
+
             // Update position cache
             await this.refreshPositionCache();
 
@@ -1114,3 +1715,7 @@ ${priceImpactDisplay}${gasDisplay}🔗 <b>Signature:</b> <code>${tradeResult.sig
 }
 
 module.exports = TradingEngine;
+module.exports.SKIP_REASONS = SKIP_REASONS;
+module.exports.SIZE_MODES = SIZE_MODES;
+module.exports.parseTakeProfitLadder = parseTakeProfitLadder;
+module.exports.escapeHtml = escapeHtml;
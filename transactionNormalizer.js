@@ -0,0 +1,226 @@
+// transactionNormalizer.js
+// Turns a jsonParsed RPC transaction into the shape of a Helius enhanced transaction, so
+// transactions fetched directly from the RPC go through the same processing as webhook payloads.
+const bs58 = require('bs58');
+const { getAccountKeys } = require('./fillParser');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const WSOL_DECIMALS = 9;
+
+// jsonParsed labels of the SPL Token and Token-2022 programs; both share the instruction layouts
+const TOKEN_PROGRAMS = new Set(['spl-token', 'spl-token-2022']);
+const CLOSE_ACCOUNT_IX = 9;
+const CREATE_IDEMPOTENT_IX = 1;
+
+// Programs that only move or wrap funds; a swap always involves something beyond these
+const PLUMBING_PROGRAMS = new Set([
+  '11111111111111111111111111111111',            // System
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',  // SPL Token
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',  // Token-2022
+  'ATokenGPvbdGVxr1b2hzZbsiqW5xWH25efTNsLJA8knL', // Associated Token Account
+  'ComputeBudget111111111111111111111111111111',
+  'MemoSq4gqABAXKb96qnH48TuG8wEH9kD5Ef6hZQr3bJz',
+  'Memo1UhkJRfHyvLMcVucJwxXeuD6YTtpkTbpbLVKf7J',
+]);
+
+const toBase58 = (key) => (typeof key === 'string' ? key : key?.toBase58?.() || String(key));
+
+// Raw accounts and data of the parsed instructions that token-account ownership is read from.
+// jsonParsed only gives their decoded info; other parsed instructions keep an empty account list.
+function rebuildParsedInstruction(ix) {
+  const info = ix.parsed?.info;
+  const type = ix.parsed?.type;
+  if (!info) return { accounts: [], data: '' };
+
+  if (ix.program === 'spl-associated-token-account' && (type === 'create' || type === 'createIdempotent')) {
+    return {
+      accounts: [info.source, info.account, info.wallet, info.mint, info.systemProgram, info.tokenProgram].filter(Boolean),
+      data: type === 'createIdempotent' ? bs58.encode(Buffer.from([CREATE_IDEMPOTENT_IX])) : '',
+    };
+  }
+  if (TOKEN_PROGRAMS.has(ix.program) && type === 'closeAccount') {
+    return {
+      accounts: [info.account, info.destination, info.owner || info.multisigOwner],
+      data: bs58.encode(Buffer.from([CLOSE_ACCOUNT_IX])),
+    };
+  }
+  return { accounts: [], data: '' };
+}
+
+// Helius shape: programId, raw accounts and base58 data, with the RPC's decoded info alongside
+function normalizeInstruction(ix) {
+  const raw = ix.parsed ? rebuildParsedInstruction(ix) : { accounts: (ix.accounts || []).map(toBase58), data: ix.data || '' };
+  return {
+    programId: toBase58(ix.programId),
+    ...raw,
+    parsed: ix.parsed || null,
+  };
+}
+
+// Token account -> { mint, owner, decimals }, from balances plus accounts initialized in this tx
+function buildTokenAccountIndex(tx, keys, allInstructions) {
+  const index = new Map();
+  const { meta } = tx;
+
+  for (const b of [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])]) {
+    index.set(keys[b.accountIndex], { mint: b.mint, owner: b.owner, decimals: b.uiTokenAmount.decimals });
+  }
+
+  // Temporary accounts (e.g. WSOL opened and closed in the same tx) never show up in balances
+  for (const ix of allInstructions) {
+    const info = ix.parsed?.info;
+    if (!info) continue;
+    const type = ix.parsed.type || '';
+    if (type.startsWith('initializeAccount') && info.account && !index.has(info.account)) {
+      index.set(info.account, { mint: info.mint, owner: info.owner, decimals: info.mint === WSOL_MINT ? WSOL_DECIMALS : null });
+    } else if ((type === 'create' || type === 'createIdempotent') && info.account && info.wallet && !index.has(info.account)) {
+      index.set(info.account, { mint: info.mint, owner: info.wallet, decimals: info.mint === WSOL_MINT ? WSOL_DECIMALS : null });
+    }
+  }
+
+  return index;
+}
+
+function extractTransfers(allInstructions, tokenAccounts) {
+  const nativeTransfers = [];
+  const tokenTransfers = [];
+
+  for (const ix of allInstructions) {
+    const info = ix.parsed?.info;
+    if (!info) continue;
+    const type = ix.parsed.type;
+
+    if (ix.program === 'system') {
+      if (type === 'transfer' || type === 'transferWithSeed') {
+        nativeTransfers.push({ fromUserAccount: info.source, toUserAccount: info.destination, amount: Number(info.lamports) });
+      } else if (type === 'createAccount' || type === 'createAccountWithSeed') {
+        nativeTransfers.push({ fromUserAccount: info.source, toUserAccount: info.newAccount, amount: Number(info.lamports) });
+      }
+      continue;
+    }
+
+    if (!TOKEN_PROGRAMS.has(ix.program) || (type !== 'transfer' && type !== 'transferChecked')) continue;
+
+    const from = tokenAccounts.get(info.source);
+    const to = tokenAccounts.get(info.destination);
+    const mint = info.mint || from?.mint || to?.mint;
+    const decimals = info.tokenAmount?.decimals ?? from?.decimals ?? to?.decimals;
+    if (!mint || decimals == null) continue;
+
+    const rawAmount = info.tokenAmount?.amount ?? info.amount;
+    tokenTransfers.push({
+      fromTokenAccount: info.source,
+      toTokenAccount: info.destination,
+      fromUserAccount: from?.owner || info.authority || info.multisigAuthority || '',
+      toUserAccount: to?.owner || '',
+      // Helius reports UI amounts here, with no decimals field
+      tokenAmount: Number(rawAmount) / 10 ** decimals,
+      mint,
+      tokenStandard: 'Fungible',
+    });
+  }
+
+  return { nativeTransfers, tokenTransfers };
+}
+
+function buildAccountData(tx, keys) {
+  const { meta } = tx;
+  const changes = new Map();
+
+  const pre = new Map((meta.preTokenBalances || []).map(b => [b.accountIndex, b]));
+  const post = new Map((meta.postTokenBalances || []).map(b => [b.accountIndex, b]));
+  for (const index of new Set([...pre.keys(), ...post.keys()])) {
+    const before = pre.get(index);
+    const after = post.get(index);
+    const ref = after || before;
+    const delta = BigInt(after?.uiTokenAmount.amount || 0) - BigInt(before?.uiTokenAmount.amount || 0);
+    if (delta === 0n) continue;
+
+    if (!changes.has(index)) changes.set(index, []);
+    changes.get(index).push({
+      userAccount: ref.owner,
+      tokenAccount: keys[index],
+      mint: ref.mint,
+      rawTokenAmount: { tokenAmount: delta.toString(), decimals: ref.uiTokenAmount.decimals },
+    });
+  }
+
+  return keys.map((account, i) => ({
+    account,
+    nativeBalanceChange: meta.postBalances[i] - meta.preBalances[i],
+    tokenBalanceChanges: changes.get(i) || [],
+  }));
+}
+
+// A wallet gave up one asset and received another (WSOL counted as SOL), through a non-plumbing program
+function looksLikeSwap(accountData, feePayer, fee, programIds) {
+  if (!programIds.some(id => !PLUMBING_PROGRAMS.has(id))) return false;
+
+  const byOwner = new Map();
+  const add = (owner, asset, delta) => {
+    if (!owner || delta === 0) return;
+    if (!byOwner.has(owner)) byOwner.set(owner, new Map());
+    const assets = byOwner.get(owner);
+    assets.set(asset, (assets.get(asset) || 0) + delta);
+  };
+
+  for (const a of accountData) {
+    for (const t of a.tokenBalanceChanges) {
+      // Raw units: only the sign matters per asset, and raw WSOL is already lamports
+      add(t.userAccount, t.mint === WSOL_MINT ? 'SOL' : t.mint, Number(t.rawTokenAmount.tokenAmount));
+    }
+  }
+
+  return [...byOwner.entries()].some(([owner, assets]) => {
+    const native = accountData.find(a => a.account === owner);
+    if (native) add(owner, 'SOL', native.nativeBalanceChange + (owner === feePayer ? fee : 0));
+    const signs = [...assets.values()].map(Math.sign);
+    return signs.includes(1) && signs.includes(-1);
+  });
+}
+
+function normalizeParsedTransaction(tx) {
+  if (!tx?.meta) throw new Error('Transaction has no metadata');
+
+  const keys = getAccountKeys(tx);
+  const { message } = tx.transaction;
+  const innerByIndex = new Map((tx.meta.innerInstructions || []).map(set => [set.index, set.instructions]));
+
+  const instructions = message.instructions.map((ix, i) => ({
+    ...normalizeInstruction(ix),
+    innerInstructions: (innerByIndex.get(i) || []).map(normalizeInstruction),
+  }));
+
+  // Outer and inner instructions in execution order, still carrying the RPC's program label
+  const allInstructions = message.instructions.flatMap((ix, i) => [ix, ...(innerByIndex.get(i) || [])]);
+
+  const tokenAccounts = buildTokenAccountIndex(tx, keys, allInstructions);
+  const { nativeTransfers, tokenTransfers } = extractTransfers(allInstructions, tokenAccounts);
+  const accountData = buildAccountData(tx, keys);
+
+  const feePayer = keys[0];
+  const fee = tx.meta.fee || 0;
+  const programIds = [...new Set(allInstructions.map(ix => toBase58(ix.programId)))];
+  const failed = !!tx.meta.err;
+
+  return {
+    signature: tx.transaction.signatures[0],
+    slot: tx.slot,
+    timestamp: tx.blockTime,
+    fee,
+    feePayer,
+    type: !failed && looksLikeSwap(accountData, feePayer, fee, programIds) ? 'SWAP' : 'UNKNOWN',
+    source: 'RPC',
+    transactionError: tx.meta.err || null,
+    accountData,
+    instructions,
+    tokenTransfers,
+    nativeTransfers,
+    events: {},
+  };
+}
+
+module.exports = {
+  PLUMBING_PROGRAMS,
+  normalizeParsedTransaction,
+};
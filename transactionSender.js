@@ -0,0 +1,116 @@
+// transactionSender.js
+const bs58 = require('bs58');
+
+// Error codes callers can branch on
+const TX_EXPIRED = 'TX_EXPIRED';         // blockhash expired and the signature never landed: safe to re-sign
+const TX_FAILED = 'TX_FAILED';           // landed on-chain with an error
+const TX_UNCONFIRMED = 'TX_UNCONFIRMED'; // outcome unknown: must NOT be re-sent
+const FINAL_CODES = new Set([TX_EXPIRED, TX_FAILED]);
+
+function senderError(code, message, signature) {
+  const error = new Error(message);
+  error.code = code;
+  error.signature = signature;
+  return error;
+}
+
+const sleep = (ms) => new Promise(res => setTimeout(res, ms));
+
+class TransactionSender {
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.rebroadcastInterval = options.rebroadcastInterval || 2000;
+    this.pollInterval = options.pollInterval || 1000;
+    // Hard stop in case block height can't be read; a blockhash lives ~60-90s
+    this.maxWaitMs = options.maxWaitMs || 120 * 1000;
+  }
+
+  log(...args) {
+    console.log(new Date().toISOString(), ...args);
+  }
+
+  getSignature(tx) {
+    const raw = tx.signatures[0];
+    // Legacy transactions keep { signature, publicKey } pairs, versioned ones raw bytes
+    return bs58.encode(raw.signature || raw);
+  }
+
+  async _getStatus(signature, searchTransactionHistory = false) {
+    const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory });
+    return value[0];
+  }
+
+  // Sends an already-signed transaction, rebroadcasting the same bytes until it confirms
+  // or its blockhash expires. onAttempt receives the attempt record on every status change.
+  async send(tx, { blockhash, lastValidBlockHeight, onAttempt } = {}) {
+    const raw = tx.serialize();
+    const signature = this.getSignature(tx);
+    const attempt = { signature, blockhash, lastValidBlockHeight, broadcasts: 0, status: 'sent', error: null };
+
+    const report = async (status, error = null) => {
+      attempt.status = status;
+      attempt.error = error;
+      if (!onAttempt) return;
+      try {
+        await onAttempt({ ...attempt });
+      } catch (err) {
+        this.log('⚠️ Failed to record send attempt:', err.message);
+      }
+    };
+
+    await report('sent');
+
+    const startedAt = Date.now();
+    let lastBroadcast = 0;
+    let expired = false;
+
+    while (Date.now() - startedAt < this.maxWaitMs) {
+      if (!expired && Date.now() - lastBroadcast >= this.rebroadcastInterval) {
+        try {
+          await this.connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 });
+          attempt.broadcasts++;
+        } catch (err) {
+          this.log(`⚠️ Broadcast of ${signature} failed:`, err.message);
+        }
+        lastBroadcast = Date.now();
+      }
+
+      try {
+        const status = await this._getStatus(signature, expired);
+        if (status?.err) {
+          const message = JSON.stringify(status.err);
+          await report('failed', message);
+          throw senderError(TX_FAILED, `Transaction failed: ${message}`, signature);
+        }
+        if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') {
+          await report('confirmed');
+          return { signature, broadcasts: attempt.broadcasts };
+        }
+
+        if (!expired) {
+          const blockHeight = await this.connection.getBlockHeight('confirmed');
+          expired = lastValidBlockHeight != null && blockHeight > lastValidBlockHeight;
+        } else if (!status) {
+          // Blockhash is past its validity window and the cluster has never seen the signature
+          await report('expired');
+          throw senderError(TX_EXPIRED, `Transaction ${signature} expired before landing`, signature);
+        }
+      } catch (err) {
+        // Only our own verdicts end the wait. RPC and network errors carry codes too, and giving up
+        // on them would let the caller re-sign while this signature can still land.
+        if (FINAL_CODES.has(err.code)) throw err;
+        this.log(`⚠️ Status check for ${signature} failed:`, err.message);
+      }
+
+      await sleep(this.pollInterval);
+    }
+
+    await report('unconfirmed', 'Timed out waiting for confirmation');
+    throw senderError(TX_UNCONFIRMED, `Transaction ${signature} could not be confirmed; check it before retrying`, signature);
+  }
+}
+
+module.exports = TransactionSender;
+module.exports.TX_EXPIRED = TX_EXPIRED;
+module.exports.TX_FAILED = TX_FAILED;
+module.exports.TX_UNCONFIRMED = TX_UNCONFIRMED;
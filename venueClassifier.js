@@ -0,0 +1,86 @@
+// venueClassifier.js
+const { PUMP_PROGRAM_ID, PUMP_AMM_PROGRAM_ID } = require('./pumpDecoder');
+
+// Program id -> venue
+const VENUE_PROGRAMS = {
+  [PUMP_PROGRAM_ID]: 'pumpfun',
+  [PUMP_AMM_PROGRAM_ID]: 'pumpswap',
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'raydium_amm',
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': 'raydium_cpmm',
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': 'raydium_clmm',
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': 'orca_whirlpool',
+  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': 'meteora_dlmm',
+  'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': 'meteora_amm',
+  'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG': 'meteora_damm_v2',
+};
+
+// Aggregators route through one or more of the venues above
+const ROUTER_PROGRAMS = {
+  'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': 'jupiter',
+  'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB': 'jupiter',
+};
+
+// User-facing groups for the per-user venue filter
+const VENUE_GROUPS = {
+  pumpfun: 'pump.fun',
+  pumpswap: 'PumpSwap',
+  raydium: 'Raydium',
+  orca: 'Orca',
+  meteora: 'Meteora',
+  jupiter: 'Jupiter',
+};
+
+// Jupiter `dexes` labels, used to keep a copy on the same pools the alpha traded
+const JUPITER_DEX_LABELS = {
+  raydium_amm: 'Raydium',
+  raydium_cpmm: 'Raydium CP',
+  raydium_clmm: 'Raydium CLMM',
+  orca_whirlpool: 'Whirlpool',
+  meteora_dlmm: 'Meteora DLMM',
+  meteora_amm: 'Meteora',
+  meteora_damm_v2: 'Meteora DAMM v2',
+};
+
+function getVenueGroup(venue) {
+  if (!venue) return null;
+  return venue.split('_')[0];
+}
+
+// Venue of a Helius-shaped transaction. Inner instructions count, since wallets and trading bots
+// usually reach the DEX through their own program. A Jupiter route is reported as 'jupiter' with
+// the pools it touched in `venues`.
+function classifyVenue(transaction) {
+  const venues = [];
+  let router = null;
+
+  for (const ix of transaction.instructions || []) {
+    for (const { programId } of [ix, ...(ix.innerInstructions || [])]) {
+      if (ROUTER_PROGRAMS[programId]) router = router || ROUTER_PROGRAMS[programId];
+      const venue = VENUE_PROGRAMS[programId];
+      if (venue && !venues.includes(venue)) venues.push(venue);
+    }
+  }
+
+  return { venue: router || venues[0] || 'unknown', venues, routed: !!router };
+}
+
+// null/empty filter means every venue is allowed
+function parseVenueFilter(value) {
+  if (!value) return null;
+  const groups = value.split(',').map(v => v.trim()).filter(v => VENUE_GROUPS[v]);
+  return groups.length ? groups : null;
+}
+
+function isVenueAllowed(filterValue, venue) {
+  const groups = parseVenueFilter(filterValue);
+  return !groups || groups.includes(getVenueGroup(venue));
+}
+
+module.exports = {
+  VENUE_GROUPS,
+  JUPITER_DEX_LABELS,
+  classifyVenue,
+  getVenueGroup,
+  parseVenueFilter,
+  isVenueAllowed,
+};
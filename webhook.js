@@ -5,6 +5,10 @@ const HeliusService = require('./heliusService');
 const TradingEngine = require('./tradingEngine');
 const Bottleneck = require('bottleneck');
 const database = require('./database');
+const LogsSubscriber = require('./logsSubscriber');
+
+// Where alpha wallet activity comes from; both can run side by side, signals are claimed once per follower
+const SIGNAL_SOURCES = ['webhook', 'websocket', 'both'];
 
 class WebhookServer {
     constructor(bot) {
@@ -13,6 +17,12 @@ class WebhookServer {
         this.heliusService = new HeliusService();
         this.tradingEngine = new TradingEngine(bot);
 
+        this.signalSource = (process.env.SIGNAL_SOURCE || 'webhook').toLowerCase();
+        if (!SIGNAL_SOURCES.includes(this.signalSource)) {
+            throw new Error(`Invalid SIGNAL_SOURCE "${this.signalSource}", expected one of: ${SIGNAL_SOURCES.join(', ')}`);
+        }
+        this.logsSubscriber = this.signalSource === 'webhook' ? null : new LogsSubscriber(this);
+
         this.dataFolder = path.join(__dirname, 'data');
         if (!fs.existsSync(this.dataFolder)) fs.mkdirSync(this.dataFolder);
 
@@ -103,6 +113,11 @@ class WebhookServer {
             this.logHeliusData(req.body);
             res.status(200).json({ received: true });
 
+            if (this.signalSource === 'websocket') {
+                this.logWithTimestamp('SIGNAL_SOURCE is websocket, ignoring webhook payload');
+                return;
+            }
+
             try {
                 await this.webhookLimiter.schedule(() => this.processWebhook(req.body));
             } catch (error) {
@@ -157,14 +172,19 @@ class WebhookServer {
 
             this.logWithTimestamp(`Alpha wallet activity detected: ${account}`);
 
+            if (!await this.tradingEngine.hasUnprocessedFollowers(transaction.signature, account)) {
+                this.logWithTimestamp(`Transaction ${transaction.signature} already processed for ${account}, skipping`);
+                continue;
+            }
+
             const swapDetails = this.heliusService.extractSwapDetails(transaction, account);
             if (!swapDetails) {
                 this.logWithTimestamp(`Transaction ${transaction.signature || 'N/A'} - Failed to extract swap details, skipping`);
                 continue;
             }
 
-            const { tokenIn, tokenOut, amountIn, amountOut } = swapDetails.perspective;
-            if (!tokenIn || !tokenOut || !amountIn || !amountOut || amountIn <= 0 || amountOut <= 0) {
+            const { side, tokenIn, tokenOut, amountIn, amountOut } = swapDetails.perspective;
+            if (!side || !tokenIn || !tokenOut || !amountIn || !amountOut || amountIn <= 0 || amountOut <= 0) {
                 this.logWithTimestamp(`Transaction ${transaction.signature || 'N/A'} - Invalid swap details, skipping`);
                 continue;
             }
@@ -189,6 +209,13 @@ class WebhookServer {
             this.logWithTimestamp(`🚀 Webhook server running on port ${port}`);
         });
 
+        this.logWithTimestamp(`📡 Signal source: ${this.signalSource}`);
+        if (this.logsSubscriber) {
+            this.logsSubscriber.start().catch(err =>
+                this.logWithTimestamp('❌ Failed to start websocket signal source:', err.message)
+            );
+        }
+
         ['SIGTERM', 'SIGINT'].forEach(sig =>
             process.on(sig, () => {
                 this.logWithTimestamp(`${sig} received, shutting down webhook server...`);
@@ -200,6 +227,7 @@ class WebhookServer {
     }
 
     stop() {
+        if (this.logsSubscriber) this.logsSubscriber.stop();
         if (this.server) {
             this.logWithTimestamp('Stopping webhook server...');
             this.server.close(() => this.logWithTimestamp('Webhook server stopped'));